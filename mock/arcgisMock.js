@@ -0,0 +1,220 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Vite dev-server plugin that imitates the ArcGIS MapServer layer query
+// endpoint using a local fixture in ArcGIS JSON format (sample-data.json).
+// The layer endpoint itself (?f=json) returns the layer definition fixture
+// (mock/fixtures/layer-26.json), whose coded-value domains and aliases are
+// test values rather than MDC's.
+// It pages with resultOffset/resultRecordCount, caps pages at maxRecordCount
+// and sets exceededTransferLimit the way the real service does.
+//
+// returnCountOnly=true is supported, as are statistics queries
+// (groupByFieldsForStatistics + outStatistics) for the count statistic.
+// The service's layer list (MapServer/layers?f=json) has the fixture layer
+// and a zone layer without sample fields, for season discovery.
+//
+// Supported where clauses are "1=1" and AND-ed comparisons of the form
+// FIELD <op> value (op is =, <>, <, <=, >, >=) or FIELD IN (v1, v2, ...).
+
+export function arcgisMock({
+    basePath = '/mock/arcgis/CWD_Fall_Reporting_Dashboard/MapServer/26',
+    fixture = 'sample-data.json',
+    layerFixture = 'mock/fixtures/layer-26.json',
+    maxRecordCount = 2000,
+    latency = 200
+} = {}) {
+    let fixtureData = null;
+    let layerData = null;
+
+    const loadFixture = (root) => {
+        if (!fixtureData) {
+            const fixturePath = path.resolve(root, fixture);
+            fixtureData = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        }
+        return fixtureData;
+    };
+
+    const loadLayerFixture = (root) => {
+        if (!layerData) {
+            const fixturePath = path.resolve(root, layerFixture);
+            layerData = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        }
+        return layerData;
+    };
+
+    return {
+        name: 'arcgis-mock',
+        apply: 'serve',
+
+        configureServer(server) {
+            server.middlewares.use(basePath, (req, res) => {
+                const url = new URL(req.url, 'http://localhost');
+                const params = url.searchParams;
+                const data = loadFixture(server.config.root);
+
+                let body;
+                try {
+                    if (url.pathname === '/query') {
+                        body = runQuery(data, params, maxRecordCount);
+                    } else if (url.pathname === '/') {
+                        body = loadLayerFixture(server.config.root);
+                    } else {
+                        body = { error: { code: 400, message: `Unsupported mock path ${url.pathname}` } };
+                    }
+                } catch (error) {
+                    body = { error: { code: 400, message: error.message } };
+                }
+
+                setTimeout(() => {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify(body));
+                }, latency);
+            });
+
+            server.middlewares.use(`${basePath.replace(/\/\d+$/, '')}/layers`, (req, res) => {
+                const body = {
+                    layers: [
+                        loadLayerFixture(server.config.root),
+                        {
+                            id: 1,
+                            name: 'CWD Management Zones (mock fixture)',
+                            type: 'Feature Layer',
+                            fields: [{ name: 'OBJECTID', type: 'esriFieldTypeOID' }, { name: 'ZoneName', type: 'esriFieldTypeString' }]
+                        }
+                    ]
+                };
+
+                setTimeout(() => {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify(body));
+                }, latency);
+            });
+        }
+    };
+}
+
+function runQuery(data, params, maxRecordCount) {
+    const where = params.get('where') || '1=1';
+    const offset = parseInt(params.get('resultOffset')) || 0;
+    const requested = parseInt(params.get('resultRecordCount')) || maxRecordCount;
+    const pageSize = Math.min(requested, maxRecordCount);
+
+    const predicate = parseWhere(where);
+    const matching = data.features.filter(feature => predicate(feature.attributes));
+
+    if (params.get('returnCountOnly') === 'true') {
+        return { count: matching.length };
+    }
+
+    if (params.has('outStatistics')) {
+        return runStatistics(matching, params);
+    }
+
+    const page = matching.slice(offset, offset + pageSize);
+
+    const response = {
+        displayFieldName: data.displayFieldName,
+        fieldAliases: data.fieldAliases,
+        fields: data.fields,
+        features: page
+    };
+
+    if (offset + page.length < matching.length) {
+        response.exceededTransferLimit = true;
+    }
+
+    return response;
+}
+
+function runStatistics(features, params) {
+    const groupBy = (params.get('groupByFieldsForStatistics') || '')
+        .split(',')
+        .map(field => field.trim())
+        .filter(Boolean);
+    const statistics = JSON.parse(params.get('outStatistics'));
+
+    statistics.forEach(statistic => {
+        if (statistic.statisticType !== 'count') {
+            throw new Error(`Unsupported statisticType: ${statistic.statisticType}`);
+        }
+    });
+
+    const groups = new Map();
+    features.forEach(({ attributes }) => {
+        const key = JSON.stringify(groupBy.map(field => attributes[field]));
+        if (!groups.has(key)) {
+            groups.set(key, { attributes, counts: statistics.map(() => 0) });
+        }
+        const group = groups.get(key);
+        statistics.forEach((statistic, i) => {
+            if (attributes[statistic.onStatisticField] != null) {
+                group.counts[i]++;
+            }
+        });
+    });
+
+    return {
+        displayFieldName: '',
+        fieldAliases: {},
+        fields: [],
+        features: Array.from(groups.values(), ({ attributes, counts }) => {
+            const row = {};
+            groupBy.forEach(field => {
+                row[field] = attributes[field];
+            });
+            statistics.forEach((statistic, i) => {
+                row[statistic.outStatisticFieldName] = counts[i];
+            });
+            return { attributes: row };
+        })
+    };
+}
+
+function parseWhere(where) {
+    const clauses = where.split(/\s+AND\s+/i).map(clause => clause.trim());
+    const tests = clauses.map(parseClause);
+    return attributes => tests.every(test => test(attributes));
+}
+
+function parseClause(clause) {
+    if (/^1\s*=\s*1$/.test(clause)) {
+        return () => true;
+    }
+
+    const inMatch = clause.match(/^(\w+)\s+IN\s*\((.*)\)$/i);
+    if (inMatch) {
+        const [, field, list] = inMatch;
+        const values = new Set(list.split(',').map(v => String(parseValue(v.trim()))));
+        return attributes => values.has(String(attributes[field]));
+    }
+
+    const comparison = clause.match(/^(\w+)\s*(<>|<=|>=|=|<|>)\s*(.+)$/);
+    if (comparison) {
+        const [, field, op, raw] = comparison;
+        const value = parseValue(raw.trim());
+        return attributes => compare(attributes[field], op, value);
+    }
+
+    throw new Error(`Unsupported where clause: ${clause}`);
+}
+
+function parseValue(raw) {
+    if (/^'.*'$/.test(raw)) {
+        return raw.slice(1, -1).replace(/''/g, "'");
+    }
+    const number = Number(raw);
+    return isNaN(number) ? raw : number;
+}
+
+function compare(actual, op, value) {
+    switch (op) {
+        case '=': return actual == value;
+        case '<>': return actual != value;
+        case '<': return actual < value;
+        case '<=': return actual <= value;
+        case '>': return actual > value;
+        case '>=': return actual >= value;
+        default: return false;
+    }
+}
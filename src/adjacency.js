@@ -0,0 +1,87 @@
+// County adjacency computed from the map's county shapes. Neighboring
+// counties are drawn as separate paths whose shared borders don't line up
+// exactly, so two counties are neighbors when enough points along their
+// outlines lie within a small distance of each other.
+
+// Points every step units along an SVG path element
+export function sampleOutline(pathNode, step = 2) {
+	const length = pathNode.getTotalLength();
+	const points = [];
+	for (let distance = 0; distance < length; distance += step) {
+		const { x, y } = pathNode.getPointAtLength(distance);
+		points.push([x, y]);
+	}
+	return points;
+}
+
+// outlines: Map key -> [[x, y]] points along each county's outline. Returns
+// Map key -> Set of neighboring keys. minShared points of a county must be
+// within tolerance of the other county, so counties that only touch at a
+// corner aren't neighbors.
+export function adjacencyFromOutlines(outlines, { tolerance = 2, minShared = 4 } = {}) {
+	// Points in a grid of tolerance-sized cells, so each point is only
+	// compared with the points of the 3x3 cells around it
+	const grid = new Map(); // "column,row" -> [{ key, x, y }]
+	const cellOf = (value) => Math.floor(value / tolerance);
+	outlines.forEach((points, key) => {
+		points.forEach(([x, y]) => {
+			const cell = `${cellOf(x)},${cellOf(y)}`;
+			if (!grid.has(cell)) grid.set(cell, []);
+			grid.get(cell).push({ key, x, y });
+		});
+	});
+
+	const adjacency = new Map(Array.from(outlines.keys(), (key) => [key, new Set()]));
+
+	outlines.forEach((points, key) => {
+		const shared = new Map(); // other key -> points of this county near it
+
+		points.forEach(([x, y]) => {
+			const near = new Set();
+			for (let dx = -1; dx <= 1; dx++) {
+				for (let dy = -1; dy <= 1; dy++) {
+					const cell = grid.get(`${cellOf(x) + dx},${cellOf(y) + dy}`);
+					if (!cell) continue;
+					cell.forEach((point) => {
+						if (point.key !== key && Math.hypot(point.x - x, point.y - y) <= tolerance) {
+							near.add(point.key);
+						}
+					});
+				}
+			}
+			near.forEach((other) => shared.set(other, (shared.get(other) || 0) + 1));
+		});
+
+		shared.forEach((count, other) => {
+			if (count >= minShared) {
+				adjacency.get(key).add(other);
+				adjacency.get(other).add(key);
+			}
+		});
+	});
+
+	return adjacency;
+}
+
+// Counties within maxSteps neighbors of any of the sources, as Map key ->
+// number of steps (0 for the sources themselves)
+export function neighborsWithin(adjacency, sources, maxSteps) {
+	const steps = new Map();
+	let frontier = sources.filter((key) => adjacency.has(key));
+	frontier.forEach((key) => steps.set(key, 0));
+
+	for (let step = 1; step <= maxSteps && frontier.length > 0; step++) {
+		const next = [];
+		frontier.forEach((key) => {
+			adjacency.get(key).forEach((neighbor) => {
+				if (!steps.has(neighbor)) {
+					steps.set(neighbor, step);
+					next.push(neighbor);
+				}
+			});
+		});
+		frontier = next;
+	}
+
+	return steps;
+}
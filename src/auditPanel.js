@@ -0,0 +1,163 @@
+import * as d3 from "d3";
+
+export function createAuditPanel(selector, { strategies, policy, onPolicyChange }) {
+	const container = d3.select(selector);
+	const groupsPerPage = 50;
+	let shownGroups = groupsPerPage;
+	let lastDuplicates = null;
+
+	const formatDate = (date) => (date ? date.toLocaleDateString() : "-");
+
+	// Fields shown for each record of a duplicate group
+	const recordColumns = [
+		{ label: "OBJECTID", value: (d) => d.objectId },
+		{ label: "Result", value: (d) => d.result },
+		{ label: "Collected", value: (d) => formatDate(d.collectionDate) },
+		{ label: "Harvested", value: (d) => formatDate(d.harvestDate) },
+		{ label: "County", value: (d) => d.countyName || "-" },
+	];
+
+	// Set up panel toggle
+	d3.select("#toggle-audit").on("click", function () {
+		const isVisible = container.style("display") !== "none";
+
+		container.style("display", isVisible ? "none" : "block");
+		d3.select(this).text(isVisible ? "Show Audit" : "Hide Audit");
+	});
+
+	// Policy controls
+	const controls = container.append("div").attr("class", "audit-controls");
+
+	const strategySelect = controls
+		.append("label")
+		.text("Keep: ")
+		.append("select")
+		.attr("id", "dedup-strategy");
+
+	strategySelect
+		.selectAll("option")
+		.data(Object.entries(strategies))
+		.enter()
+		.append("option")
+		.attr("value", ([key]) => key)
+		.text(([, strategy]) => strategy.label);
+
+	strategySelect.property("value", policy.strategy);
+
+	const keepLabel = controls.append("label").attr("class", "audit-checkbox");
+	const keepCheckbox = keepLabel
+		.append("input")
+		.attr("type", "checkbox")
+		.attr("id", "dedup-keep-no-specimen")
+		.property("checked", policy.keepWithoutSpecimen);
+	keepLabel.append("span").text("Keep records without a specimen number");
+
+	const changePolicy = () => {
+		controls.selectAll("select, input").property("disabled", true);
+		onPolicyChange({
+			strategy: strategySelect.property("value"),
+			keepWithoutSpecimen: keepCheckbox.property("checked"),
+		}).finally(() => {
+			controls.selectAll("select, input").property("disabled", false);
+		});
+	};
+
+	strategySelect.on("change", changePolicy);
+	keepCheckbox.on("change", changePolicy);
+
+	const content = container.append("div").attr("class", "audit-content");
+
+	function renderGroupRecords(cell, group) {
+		const details = cell.append("details");
+		details.append("summary").text(`${group.records.length} records`);
+
+		const table = details.append("table").attr("class", "quality-examples");
+		table
+			.append("thead")
+			.append("tr")
+			.selectAll("th")
+			.data(["", ...recordColumns.map((col) => col.label)])
+			.enter()
+			.append("th")
+			.text((d) => d);
+
+		table
+			.append("tbody")
+			.selectAll("tr")
+			.data(group.records)
+			.enter()
+			.append("tr")
+			.classed("audit-kept", (d) => d === group.kept)
+			.selectAll("td")
+			.data((record) => [
+				record === group.kept ? "Kept" : "Removed",
+				...recordColumns.map((col) => col.value(record)),
+			])
+			.enter()
+			.append("td")
+			.text((value) => (value == null ? "-" : value));
+	}
+
+	function render() {
+		content.selectAll("*").remove();
+
+		if (!lastDuplicates) {
+			content
+				.append("p")
+				.attr("class", "quality-empty")
+				.text("The audit is available once sample records are loaded.");
+			return;
+		}
+
+		const { groups, removed, withoutSpecimen, policy: current } = lastDuplicates;
+
+		content
+			.append("p")
+			.attr("class", "quality-summary")
+			.text(
+				`${groups.length.toLocaleString()} duplicate specimen groups, ${removed.toLocaleString()} records removed. ` +
+					`${withoutSpecimen.toLocaleString()} records without a specimen number ${current.keepWithoutSpecimen ? "kept" : "dropped"}.`
+			);
+
+		if (groups.length === 0) return;
+
+		const table = content.append("table").attr("class", "data-table quality-table");
+		table
+			.append("thead")
+			.append("tr")
+			.selectAll("th")
+			.data(["Specimen", "Kept OBJECTID", "Kept result", "Why", "Group"])
+			.enter()
+			.append("th")
+			.text((d) => d);
+
+		const tbody = table.append("tbody");
+		groups.slice(0, shownGroups).forEach((group) => {
+			const tr = tbody.append("tr");
+			tr.append("td").text(group.specimenNo);
+			tr.append("td").text(group.kept.objectId);
+			tr.append("td").text(group.kept.result);
+			tr.append("td").text(group.reason);
+			renderGroupRecords(tr.append("td"), group);
+		});
+
+		if (groups.length > shownGroups) {
+			content
+				.append("button")
+				.attr("class", "pagination-btn audit-more")
+				.text(`Show more (${(groups.length - shownGroups).toLocaleString()} remaining)`)
+				.on("click", () => {
+					shownGroups += groupsPerPage;
+					render();
+				});
+		}
+	}
+
+	return {
+		update(duplicates) {
+			lastDuplicates = duplicates;
+			shownGroups = groupsPerPage;
+			render();
+		},
+	};
+}
@@ -0,0 +1,77 @@
+// IndexedDB-backed cache of processed records, so a page load only has to
+// fetch what changed since the last sync instead of the whole layer.
+
+const DB_NAME = 'cwd-dashboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+function runTransaction(mode, operation) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+// A dataset is { id, records, syncedAt, maxObjectId }
+export async function readDataset(id) {
+    try {
+        return (await runTransaction('readonly', store => store.get(id))) || null;
+    } catch (error) {
+        console.warn(`Could not read cached dataset "${id}":`, error);
+        return null;
+    }
+}
+
+export async function writeDataset(dataset) {
+    try {
+        await runTransaction('readwrite', store => store.put(dataset));
+        return true;
+    } catch (error) {
+        console.warn(`Could not cache dataset "${dataset.id}":`, error);
+        return false;
+    }
+}
+
+export async function deleteDataset(id) {
+    try {
+        await runTransaction('readwrite', store => store.delete(id));
+    } catch (error) {
+        console.warn(`Could not delete cached dataset "${id}":`, error);
+    }
+}
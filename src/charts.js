@@ -0,0 +1,129 @@
+import * as d3 from "d3";
+import { countByWeek } from "./data.js";
+
+// Small SVG charts of a set of samples, used by the county drill-down panel
+// and the map tooltips
+
+// Same colors as the result badges in the table
+export const RESULT_COLORS = {
+	Positive: "#dc3545",
+	Negative: "#28a745",
+	Pending: "#ffc107",
+	Unfit: "#6c757d",
+};
+
+export const RESULT_ORDER = ["Positive", "Negative", "Pending", "Unfit"];
+
+// Harvest date, or collection date when the harvest date is missing
+export const sampleDate = (d) => d.harvestDate || d.collectionDate;
+
+// Weekly sample counts as bars, with the positives of each week in red at
+// the bottom of the bar. Samples without a date are left out.
+export function renderWeeklyChart(container, samples, options) {
+	return renderWeeklyBars(container, countByWeek(samples), options);
+}
+
+// Same from weekly counts, [{ week, count, positive }] (see countByWeek())
+export function renderWeeklyBars(container, weeks, { width = 480, height = 160 } = {}) {
+	const margin = { top: 8, right: 8, bottom: 22, left: 32 };
+
+	const svg = container
+		.append("svg")
+		.attr("class", "weekly-chart")
+		.attr("viewBox", `0 0 ${width} ${height}`)
+		.attr("role", "img")
+		.attr("aria-label", "Samples per week");
+
+	if (weeks.length === 0) {
+		svg.append("text")
+			.attr("x", width / 2)
+			.attr("y", height / 2)
+			.attr("text-anchor", "middle")
+			.attr("class", "chart-empty")
+			.text("No dated samples");
+		return svg;
+	}
+
+	const [first, last] = d3.extent(weeks, (d) => d.week);
+	const x = d3
+		.scaleBand()
+		.domain(d3.timeWeek.range(first, d3.timeWeek.offset(last, 1)))
+		.range([margin.left, width - margin.right])
+		.padding(0.15);
+	const y = d3
+		.scaleLinear()
+		.domain([0, d3.max(weeks, (d) => d.count)])
+		.nice()
+		.range([height - margin.bottom, margin.top]);
+
+	const bars = svg.append("g").selectAll("g").data(weeks).enter().append("g");
+	bars.append("rect")
+		.attr("x", (d) => x(d.week))
+		.attr("width", x.bandwidth())
+		.attr("y", (d) => y(d.count))
+		.attr("height", (d) => y(0) - y(d.count))
+		.attr("fill", "#9ecae1");
+	bars.filter((d) => d.positive > 0)
+		.append("rect")
+		.attr("x", (d) => x(d.week))
+		.attr("width", x.bandwidth())
+		.attr("y", (d) => y(d.positive))
+		.attr("height", (d) => y(0) - y(d.positive))
+		.attr("fill", RESULT_COLORS.Positive);
+	bars.append("title").text(
+		(d) => `Week of ${d.week.toLocaleDateString()}: ${d.count} samples, ${d.positive} positive`
+	);
+
+	// Label roughly every month
+	const tickEvery = Math.max(1, Math.ceil(x.domain().length / 6));
+	svg.append("g")
+		.attr("class", "chart-axis")
+		.attr("transform", `translate(0,${height - margin.bottom})`)
+		.call(
+			d3
+				.axisBottom(x)
+				.tickValues(x.domain().filter((d, i) => i % tickEvery === 0))
+				.tickFormat(d3.timeFormat("%b %d"))
+				.tickSizeOuter(0)
+		);
+	svg.append("g")
+		.attr("class", "chart-axis")
+		.attr("transform", `translate(${margin.left},0)`)
+		.call(d3.axisLeft(y).ticks(4).tickFormat(d3.format("d")));
+
+	return svg;
+}
+
+// One horizontal bar split by result
+export function renderResultBar(container, counts, { width = 480, height = 24 } = {}) {
+	const total = d3.sum(RESULT_ORDER, (result) => counts[result] || 0);
+	const x = d3.scaleLinear().domain([0, total || 1]).range([0, width]);
+
+	let offset = 0;
+	const segments = RESULT_ORDER.map((result) => {
+		const count = counts[result] || 0;
+		const segment = { result, count, x: offset };
+		offset += count;
+		return segment;
+	}).filter((segment) => segment.count > 0);
+
+	const svg = container
+		.append("svg")
+		.attr("class", "result-bar")
+		.attr("viewBox", `0 0 ${width} ${height}`)
+		.attr("role", "img")
+		.attr("aria-label", segments.map((s) => `${s.result}: ${s.count}`).join(", ") || "No samples");
+
+	svg.selectAll("rect")
+		.data(segments)
+		.enter()
+		.append("rect")
+		.attr("x", (d) => x(d.x))
+		.attr("width", (d) => x(d.count) - x(0))
+		.attr("height", height)
+		.attr("fill", (d) => RESULT_COLORS[d.result])
+		.append("title")
+		.text((d) => `${d.result}: ${d.count}`);
+
+	return svg;
+}
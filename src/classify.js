@@ -0,0 +1,160 @@
+import * as d3 from "d3";
+
+// Choropleth classification. Each scheme turns the values being mapped into
+// a color function plus the classes shown in the stepped legend:
+// { color(value), classes: [{ from, to, color, count }] }. Linear and log
+// color continuously and split the legend into equal steps of the scale;
+// the others assign one color per class.
+
+export const CLASSIFICATIONS = {
+	linear: { label: "Linear", continuous: true },
+	log: { label: "Log", continuous: true },
+	quantile: { label: "Quantile", continuous: false },
+	equalInterval: { label: "Equal interval", continuous: false },
+	jenks: { label: "Natural breaks (Jenks)", continuous: false },
+};
+
+// Colorblind-safe sequential palettes. "metric" keeps the color of the
+// selected stat card.
+export const PALETTES = {
+	metric: { label: "Metric colors", interpolator: null },
+	viridis: { label: "Viridis", interpolator: d3.interpolateViridis },
+	cividis: { label: "Cividis", interpolator: d3.interpolateCividis },
+	ylGnBu: { label: "Yellow-Green-Blue", interpolator: d3.interpolateYlGnBu },
+	magma: { label: "Magma", interpolator: d3.interpolateMagma },
+};
+
+// Viridis-like palettes run dark to light; they are flipped so higher values
+// are darker like the single-hue palettes
+const REVERSED = new Set(["viridis", "cividis", "magma"]);
+
+export function paletteInterpolator(palette, metricInterpolator) {
+	const { interpolator } = PALETTES[palette] || PALETTES.metric;
+	if (!interpolator) return metricInterpolator;
+	return REVERSED.has(palette) ? (t) => interpolator(1 - t) : interpolator;
+}
+
+// Colors for a number of classes, skipping the near-white start of the
+// single-hue palettes
+function classColors(interpolator, count) {
+	if (count === 1) return [interpolator(0.6)];
+	return d3.quantize((t) => interpolator(0.15 + 0.85 * t), count);
+}
+
+function countIn(values, from, to, isLast) {
+	return values.filter((v) => v >= from && (isLast ? v <= to : v < to)).length;
+}
+
+// Classes from sorted upper bounds (breaks[0] is the minimum)
+function classesFromBreaks(values, breaks, colors) {
+	return colors.map((color, i) => ({
+		from: breaks[i],
+		to: breaks[i + 1],
+		color,
+		count: countIn(values, breaks[i], breaks[i + 1], i === colors.length - 1),
+	}));
+}
+
+// domain is [min, max] for the continuous schemes, which start at 0 so
+// counts stay comparable to the count scale
+export function classify(values, { scheme = "linear", interpolator, classCount = 5, domain = null }) {
+	const min = 0;
+	const max = domain ? domain[1] : d3.max(values) || 0;
+
+	if (scheme === "linear" || scheme === "log" || values.length === 0) {
+		const scale =
+			scheme === "log"
+				? d3.scaleSequentialSymlog(interpolator).domain([min, max])
+				: d3.scaleSequential(interpolator).domain([min, max]);
+
+		// Legend steps are equal on the scale (log steps for the log scale)
+		const position = scheme === "log" ? d3.scaleSymlog().domain([min, max]) : d3.scaleLinear().domain([min, max]);
+		const breaks = d3.range(classCount + 1).map((i) => position.invert(i / classCount));
+		const colors = breaks.slice(0, -1).map((from, i) => scale((from + breaks[i + 1]) / 2));
+
+		return { color: scale, classes: max > min ? classesFromBreaks(values, breaks, colors) : [] };
+	}
+
+	const distinct = new Set(values).size;
+	const count = Math.max(1, Math.min(classCount, distinct));
+	let breaks;
+
+	if (scheme === "quantile") {
+		const sorted = values.slice().sort(d3.ascending);
+		breaks = [
+			sorted[0],
+			...d3.range(1, count).map((i) => d3.quantileSorted(sorted, i / count)),
+			sorted[sorted.length - 1],
+		];
+	} else if (scheme === "equalInterval") {
+		const low = d3.min(values);
+		breaks = d3.range(count + 1).map((i) => low + ((max - low) * i) / count);
+	} else {
+		breaks = jenksBreaks(values, count);
+	}
+
+	// Quantiles of skewed counts can repeat; repeated bounds would make
+	// empty classes. The maximum is always kept: when it repeats the last
+	// lower bound, the top class holds only the maximum (e.g. one outlier
+	// county in its own natural-breaks class) and runs from it to itself.
+	breaks = breaks.filter((b, i) => i === 0 || i === breaks.length - 1 || b > breaks[i - 1]);
+	const colors = classColors(interpolator, breaks.length - 1);
+
+	const scale = d3.scaleThreshold().domain(breaks.slice(1, -1)).range(colors);
+	return { color: scale, classes: classesFromBreaks(values, breaks, colors) };
+}
+
+// Fisher-Jenks natural breaks: class bounds that minimize the variance
+// within classes. Returns count + 1 bounds: the lower bound of each class,
+// then the maximum. A top class of one value ends in a repeated bound, e.g.
+// [3, 7, 20, 21, 22, 90] in 3 classes gives [3, 20, 90, 90].
+export function jenksBreaks(values, count) {
+	const data = values.slice().sort(d3.ascending);
+	const n = data.length;
+
+	// lower[i][j]: first index of the last class for the first i values in
+	// j classes; variance[i][j]: the lowest total variance for them
+	const lower = d3.range(n + 1).map(() => new Array(count + 1).fill(0));
+	const variance = d3.range(n + 1).map(() => new Array(count + 1).fill(Infinity));
+	for (let j = 1; j <= count; j++) {
+		lower[1][j] = 1;
+		variance[1][j] = 0;
+	}
+
+	for (let i = 2; i <= n; i++) {
+		let sum = 0;
+		let sumSquares = 0;
+
+		for (let m = 1; m <= i; m++) {
+			const lowerIndex = i - m + 1;
+			const value = data[lowerIndex - 1];
+			sum += value;
+			sumSquares += value * value;
+			const classVariance = sumSquares - (sum * sum) / m;
+
+			if (lowerIndex > 1) {
+				for (let j = 2; j <= count; j++) {
+					const total = classVariance + variance[lowerIndex - 1][j - 1];
+					if (total <= variance[i][j]) {
+						lower[i][j] = lowerIndex;
+						variance[i][j] = total;
+					}
+				}
+			}
+		}
+
+		lower[i][1] = 1;
+		variance[i][1] = sumSquares - (sum * sum) / i;
+	}
+
+	const breaks = new Array(count + 1);
+	breaks[count] = data[n - 1];
+	breaks[0] = data[0];
+	let k = n;
+	for (let j = count; j >= 2; j--) {
+		const index = lower[k][j] - 1;
+		breaks[j - 1] = data[index];
+		k = index;
+	}
+	return breaks;
+}
@@ -0,0 +1,131 @@
+// Dashboard configuration. The data source and start mode can be overridden
+// per page load with URL parameters, e.g. ?source=mock&mode=fast.
+
+export const config = {
+    dataSource: 'live',
+
+    // 'full' downloads every record before rendering. 'fast' draws the map and
+    // stat cards from one server-side statistics query and only downloads
+    // records when the table is opened (file sources and archived seasons
+    // are counted in the browser instead).
+    startMode: 'full',
+
+    // Which record to keep when several share a specimen number (see
+    // DEDUP_STRATEGIES in data.js: latestDate, finalOverPending,
+    // highestObjectId), and whether to keep records without a specimen number
+    deduplication: {
+        strategy: 'latestDate',
+        keepWithoutSpecimen: false
+    },
+
+    // Areas with fewer samples with a final result (Positive or Negative)
+    // than this are hatched on the positivity rate map instead of colored
+    minTestedForRate: 10,
+
+    // Surveillance sufficiency: the prevalence each county's sampling should
+    // be able to detect (changeable on the page) and the detection
+    // probability counted as sufficient
+    designPrevalence: 0.01,
+    targetConfidence: 0.95,
+
+    // Surveillance zones: counties within this many neighbors of a county
+    // with a positive result (changeable on the map)
+    zoneDistance: 1,
+
+    // PLSS section outlines drawn when zoomed into a county (see
+    // loadSectionGeometry() in sections.js for the format). No outlines ship
+    // with the dashboard, so the section layer is off (null) until a
+    // geometry asset is added, e.g. '/plss-sections.json' in public/. A
+    // source can override this with its own sectionGeometryUrl.
+    sectionGeometryUrl: null,
+
+    // Missouri county boundaries (longitude/latitude, US Census cartographic
+    // boundaries via us-atlas) for the county GeoJSON export
+    countyGeometryUrl: '/missouri-counties.geojson',
+
+    sources: {
+        // Live MDC ArcGIS REST service, as a season registry mapping each
+        // permit year to the MapServer layer that holds it ({ type: 'arcgis',
+        // layerUrl }) or to an archived snapshot file ({ type: 'file', url }).
+        // Earlier seasons are found by listing the service's sample layers
+        // (discover); list a season here to pin its layer or snapshot.
+        live: {
+            type: 'seasons',
+            label: 'MDC ArcGIS service',
+            discover: {
+                serviceUrl: 'https://gisblue.mdc.mo.gov/arcgis/rest/services/Terrestrial/CWD_Fall_Reporting_Dashboard/MapServer',
+                batchSize: 2000
+            },
+            seasons: {
+                2025: {
+                    type: 'arcgis',
+                    layerUrl: 'https://gisblue.mdc.mo.gov/arcgis/rest/services/Terrestrial/CWD_Fall_Reporting_Dashboard/MapServer/26',
+                    batchSize: 2000
+                }
+            }
+        },
+        // Static ArcGIS-format JSON file (served from the project root by the
+        // dev server; not part of production builds)
+        file: {
+            type: 'file',
+            label: 'sample-data.json',
+            url: '/sample-data.json',
+            devOnly: true
+        },
+        // Local mock of the ArcGIS service (see mock/arcgisMock.js, dev server
+        // only), with an archived snapshot as the previous season and mock
+        // section outlines for the fixtures' GISlabels
+        mock: {
+            type: 'seasons',
+            label: 'Local mock server',
+            devOnly: true,
+            sectionGeometryUrl: '/mock/fixtures/plss-sections.json',
+            discover: {
+                serviceUrl: '/mock/arcgis/CWD_Fall_Reporting_Dashboard/MapServer',
+                batchSize: 500
+            },
+            seasons: {
+                2025: {
+                    type: 'arcgis',
+                    layerUrl: '/mock/arcgis/CWD_Fall_Reporting_Dashboard/MapServer/26',
+                    // Smaller than the fixture so paging is exercised
+                    batchSize: 500
+                },
+                2024: {
+                    type: 'file',
+                    url: '/mock/fixtures/season-2024.json'
+                }
+            }
+        }
+    }
+};
+
+export function getDataSourceName() {
+    const requested = new URLSearchParams(window.location.search).get('source');
+
+    // Sources marked devOnly need the dev server (their files and the mock
+    // endpoint are not in the build)
+    if (requested && config.sources[requested] && config.sources[requested].devOnly && import.meta.env.PROD) {
+        console.warn(`The "${requested}" data source only works with the dev server (npm run dev), using "${config.dataSource}"`);
+        return config.dataSource;
+    }
+
+    if (requested && config.sources[requested]) {
+        return requested;
+    }
+
+    if (requested) {
+        console.warn(`Unknown data source "${requested}", using "${config.dataSource}"`);
+    }
+
+    return config.dataSource;
+}
+
+export function getSectionGeometryUrl(sourceName) {
+    return config.sources[sourceName].sectionGeometryUrl || config.sectionGeometryUrl;
+}
+
+export function getStartMode() {
+    const requested = new URLSearchParams(window.location.search).get('mode');
+    return requested === 'fast' || requested === 'full' ? requested : config.startMode;
+}
@@ -0,0 +1,137 @@
+import * as d3 from "d3";
+import { renderWeeklyChart, renderResultBar, sampleDate } from "./charts.js";
+import { positivityRate } from "./rates.js";
+
+// Drill-down panel for the county double-clicked on the map: its counts,
+// charts of its samples and a table of them
+export function createCountyPanel(selector, { onClose }) {
+	const container = d3.select(selector);
+	const rowsPerPage = 25;
+	let shownRows = rowsPerPage;
+	let current = null; // { name, samples, counts }
+
+	const formatDate = (date) => (date ? date.toLocaleDateString() : "-");
+
+	const columns = [
+		{ label: "Specimen", value: (d) => d.specimenNo },
+		{ label: "Date", value: (d) => formatDate(sampleDate(d)) },
+		{ label: "Result", value: (d) => d.result },
+		{ label: "Sex", value: (d) => d.deerSexName },
+		{ label: "Age", value: (d) => d.deerAgeName },
+		{ label: "Section", value: (d) => d.gisLabel },
+		{ label: "Core Area", value: (d) => d.coreArea },
+	];
+
+	function renderTable(samples) {
+		const sorted = samples
+			.slice()
+			.sort((a, b) => d3.descending(sampleDate(a), sampleDate(b)));
+
+		const table = container.append("table").attr("class", "data-table county-panel-table");
+		table
+			.append("thead")
+			.append("tr")
+			.selectAll("th")
+			.data(columns)
+			.enter()
+			.append("th")
+			.text((d) => d.label);
+
+		table
+			.append("tbody")
+			.selectAll("tr")
+			.data(sorted.slice(0, shownRows))
+			.enter()
+			.append("tr")
+			.selectAll("td")
+			.data((record) => columns.map((col) => col.value(record)))
+			.enter()
+			.append("td")
+			.text((value) => (value == null || value === "" ? "-" : value));
+
+		if (sorted.length > shownRows) {
+			container
+				.append("button")
+				.attr("class", "pagination-btn audit-more")
+				.text(`Show more (${(sorted.length - shownRows).toLocaleString()} remaining)`)
+				.on("click", () => {
+					shownRows += rowsPerPage;
+					render();
+				});
+		}
+	}
+
+	function render() {
+		container.selectAll("*").remove();
+		if (!current) return;
+
+		const { name, samples, counts } = current;
+
+		const header = container.append("div").attr("class", "county-panel-header");
+		header.append("h3").text(`${name} County`);
+		header
+			.append("button")
+			.attr("class", "close-county-panel")
+			.attr("aria-label", "Close county view")
+			.html("&times;")
+			.on("click", onClose);
+
+		if (!counts) {
+			container
+				.append("p")
+				.attr("class", "quality-empty")
+				.text("No CWD samples for the current filters.");
+			return;
+		}
+
+		const { tested, rate } = positivityRate(counts);
+		container
+			.append("p")
+			.attr("class", "quality-summary")
+			.text(
+				`${counts.count.toLocaleString()} samples: ${counts.positive} positive, ${counts.negative} negative, ` +
+					`${counts.pending} pending, ${counts.unsuitable} unfit` +
+					(tested > 0 ? `. Positivity ${d3.format(".1%")(rate)} of ${tested} tested.` : ".")
+			);
+
+		renderResultBar(container.append("div").attr("class", "county-panel-chart"), {
+			Positive: counts.positive,
+			Negative: counts.negative,
+			Pending: counts.pending,
+			Unfit: counts.unsuitable,
+		});
+
+		if (!samples) {
+			container
+				.append("p")
+				.attr("class", "quality-empty")
+				.text("Load the sample records (below the map) to see charts and samples for this county.");
+			return;
+		}
+
+		container.append("h4").attr("class", "quality-section-title").text("Samples per week");
+		renderWeeklyChart(container.append("div").attr("class", "county-panel-chart"), samples);
+
+		container.append("h4").attr("class", "quality-section-title").text("Samples");
+		renderTable(samples);
+	}
+
+	return {
+		// samples is null in fast-start mode, counts is null when the county
+		// has no samples for the current filters
+		show(name, samples, counts) {
+			if (!current || current.name !== name) {
+				shownRows = rowsPerPage;
+			}
+			current = { name, samples, counts };
+			container.style("display", "block");
+			render();
+		},
+
+		hide() {
+			current = null;
+			container.style("display", "none");
+			render();
+		},
+	};
+}
@@ -1,22 +1,307 @@
 import * as d3 from 'd3';
+import { readDataset, writeDataset, deleteDataset } from './cache.js';
+
+// Number of OBJECTIDs per "IN (...)" clause when re-checking pending rows
+const PENDING_CHUNK_SIZE = 200;
+
+// Returns processed (not yet filtered or deduplicated) records from a data
+// source (see sources.js). For sources that support where clauses the
+// IndexedDB cache is used and only rows added since the last sync plus rows
+// whose Pending result has since been finalized are fetched.
+export async function loadData(source, { forceFull = false, progressCallback = null } = {}) {
+    if (source.seasons) {
+        return loadSeasons(source, { forceFull, progressCallback });
+    }
+
+    const cacheable = source.supportsIncremental;
+    const cached = cacheable && !forceFull ? await readDataset(source.id) : null;
 
-const API_BASE_URL = 'https://gisblue.mdc.mo.gov/arcgis/rest/services/Terrestrial/CWD_Fall_Reporting_Dashboard/MapServer/26/query';
+    if (cacheable && forceFull) {
+        await deleteDataset(source.id);
+    }
 
-export async function loadData(progressCallback = null) {
-    const allFeatures = await fetchAllRecords(progressCallback);
+    if (cached) {
+        try {
+            const dataset = await refreshDataset(source, cached);
+            await writeDataset(dataset);
+            return { ...dataset, fromCache: true, stale: false };
+        } catch (error) {
+            console.warn('Incremental refresh failed, using cached data:', error);
+            return { ...cached, fromCache: true, stale: true };
+        }
+    }
+
+    const { features: allFeatures, gaps, countMismatch } = await source.fetchRecords('1=1', progressCallback);
 
     if (allFeatures && allFeatures.length > 0) {
-        console.log(`✓ Loaded ${allFeatures.length} total records from API`);
-        return allFeatures;
+        console.log(`✓ Loaded ${allFeatures.length} total records from ${source.label}`);
+        const records = processRecords(allFeatures);
+        const dataset = {
+            id: source.id,
+            records,
+            syncedAt: Date.now(),
+            maxObjectId: d3.max(records, d => d.objectId) || 0,
+            gaps: gaps ? [gaps] : [],
+            countMismatches: countMismatch ? [countMismatch] : []
+        };
+        if (cacheable) {
+            await writeDataset(dataset);
+        }
+        return { ...dataset, fromCache: false, stale: false };
     } else {
         throw new Error('No features found in API response');
     }
-    
 }
 
-class BatchFetchManager {
-    constructor(apiUrl, batchSize = 2000, maxConcurrent = 4) {
+// Loads every season of a SeasonSource, newest first, and combines them into
+// one dataset. A season that fails to load is kept in `parts` with its error
+// instead of failing the whole load, as long as at least one season loads.
+async function loadSeasons(source, { forceFull, progressCallback }) {
+    const parts = [];
+
+    for (const { year, source: seasonSource } of await source.discoverSeasons()) {
+        const seasonProgress = progressCallback && (progress => progressCallback({ ...progress, season: year }));
+
+        try {
+            const dataset = await loadData(seasonSource, { forceFull, progressCallback: seasonProgress });
+            parts.push({ year, dataset, error: null });
+        } catch (error) {
+            console.warn(`Failed to load the ${year} season from ${seasonSource.label}:`, error);
+            parts.push({ year, dataset: null, error: error.message });
+        }
+    }
+
+    if (parts.every(part => !part.dataset)) {
+        throw new Error(`No season could be loaded (${parts.map(part => `${part.year}: ${part.error}`).join('; ')})`);
+    }
+
+    return combineSeasons(source, parts);
+}
+
+function combineSeasons(source, parts) {
+    const loaded = parts.filter(part => part.dataset);
+
+    return {
+        id: source.id,
+        records: loaded.flatMap(part => part.dataset.records),
+        syncedAt: d3.min(loaded, part => part.dataset.syncedAt),
+        // Gaps are tagged with their season so retryGaps() can find its source
+        gaps: loaded.flatMap(part => (part.dataset.gaps || []).map(gap => ({ ...gap, season: part.year }))),
+        countMismatches: loaded.flatMap(part => (part.dataset.countMismatches || []).map(mismatch => ({ ...mismatch, season: part.year }))),
+        parts,
+        failedSeasons: parts.filter(part => part.error).map(({ year, error }) => ({ year, error })),
+        fromCache: loaded.every(part => part.dataset.fromCache),
+        stale: loaded.some(part => part.dataset.stale)
+    };
+}
+
+// Fields the fast-start summary is grouped by. Publish is included so the
+// stat cards can keep counting published records only, CoreArea so the core
+// area map mode and filter work before records are loaded.
+const SUMMARY_FIELDS = ['CountyName', 'CoreArea', 'RESULT', 'PERMITYEAR', 'Publish'];
+
+// Server-side counts per county, result and permit year, for drawing the map
+// and stat cards before any records are downloaded. Counts are not
+// deduplicated by specimen number.
+export async function loadSummary(source) {
+    const rows = await source.fetchStatistics(SUMMARY_FIELDS);
+    const summary = rows.map(d => ({
+        countyName: d.CountyName,
+        coreArea: d.CoreArea,
+        result: normalizeResult(d.RESULT),
+        permitYear: d.PERMITYEAR,
+        publish: d.Publish === 'Y',
+        count: d.SampleCount || 0
+    })).filter(d => !isFutureYear(d));
+
+    console.log(`✓ Loaded summary of ${d3.sum(summary, d => d.count)} records in ${summary.length} groups`);
+
+    return { summary, syncedAt: Date.now() };
+}
+
+// Field aliases and coded-value domains from the layer definition, as
+// { aliases: { field: alias }, domains: { field: { code: name } }, syncedAt }.
+// The last definition read is cached, so labels survive a failed request;
+// without either, labels fall back to the hardcoded mappings below.
+export async function loadLayerInfo(source) {
+    if (source.seasons) {
+        // The current season's layer describes the fields
+        return loadLayerInfo(source.seasons[0].source);
+    }
+
+    const cacheId = `${source.id}:layer-info`;
+
+    try {
+        const layerInfo = { ...parseLayerInfo(await source.fetchLayerInfo()), syncedAt: Date.now() };
+        if (source.supportsIncremental) {
+            await writeDataset({ id: cacheId, layerInfo });
+        }
+        return layerInfo;
+    } catch (error) {
+        console.warn('Layer info request failed, using cached or built-in labels:', error);
+        const cached = source.supportsIncremental ? await readDataset(cacheId) : null;
+        return cached ? cached.layerInfo : null;
+    }
+}
+
+function parseLayerInfo(definition) {
+    const aliases = {};
+    const domains = {};
+
+    (definition.fields || []).forEach(field => {
+        if (field.alias) {
+            aliases[field.name] = field.alias;
+        }
+        if (field.domain && field.domain.type === 'codedValue') {
+            domains[field.name] = Object.fromEntries(
+                field.domain.codedValues.map(({ code, name }) => [String(code), name])
+            );
+        }
+    });
+
+    const domainCount = Object.keys(domains).length;
+    console.log(`✓ Loaded layer info with ${domainCount} coded-value domain${domainCount === 1 ? '' : 's'}`);
+
+    return { aliases, domains };
+}
+
+// Recomputes the display labels of coded fields from the layer's domains.
+// Updates the records in place and returns them.
+export function applyLabels(records, layerInfo) {
+    const domains = (layerInfo && layerInfo.domains) || {};
+    const label = (field, code, fallback) => {
+        const domain = domains[field];
+        return domain && code != null && domain[code] != null ? domain[code] : fallback(code);
+    };
+
+    records.forEach(d => {
+        d.collectionTypeName = label('Collection_Type', d.collectionType, getCollectionTypeName);
+        d.deerSexName = label('Deer_Sex', d.deerSex, getDeerSexName);
+        d.deerAgeName = label('Deer_Age', d.deerAge, getDeerAgeName);
+    });
+
+    return records;
+}
+
+async function refreshDataset(source, cached) {
+    const byObjectId = new Map(cached.records.map(d => [d.objectId, d]));
+
+    // Rows added since the last sync
+    const { features: newFeatures, gaps: newGaps, countMismatch } = await source.fetchRecords(`OBJECTID > ${cached.maxObjectId}`);
+
+    // Cached Pending rows that now have a result
+    const pendingIds = cached.records
+        .filter(d => d.result === 'Pending')
+        .map(d => d.objectId);
+    const updatedFeatures = await fetchUpdatedPending(source, pendingIds);
+
+    const changed = processRecords([...newFeatures, ...updatedFeatures]);
+    changed.forEach(d => byObjectId.set(d.objectId, d));
+
+    console.log(`✓ Incremental refresh: ${newFeatures.length} new, ${updatedFeatures.length} updated records`);
+
+    const records = Array.from(byObjectId.values());
+    return {
+        id: cached.id,
+        records,
+        syncedAt: Date.now(),
+        maxObjectId: Math.max(cached.maxObjectId, d3.max(records, d => d.objectId) || 0),
+        // Gaps keep their where clause, so rows below maxObjectId that were
+        // never fetched can still be recovered by retryGaps()
+        gaps: [...(cached.gaps || []), ...(newGaps ? [newGaps] : [])],
+        // Count mismatches can't be retried; they are kept until a full reload
+        countMismatches: [...(cached.countMismatches || []), ...(countMismatch ? [countMismatch] : [])]
+    };
+}
+
+// Re-fetches the batches that failed in earlier runs and merges them in.
+// For season sources, seasons that failed to load are loaded again.
+export async function retryGaps(source, dataset) {
+    if (source.seasons) {
+        return retrySeasons(source, dataset);
+    }
+
+    const byObjectId = new Map(dataset.records.map(d => [d.objectId, d]));
+    const remaining = [];
+    let recovered = 0;
+
+    for (const gap of dataset.gaps) {
+        const { features, gaps } = await source.fetchGaps(gap);
+        processRecords(features).forEach(d => byObjectId.set(d.objectId, d));
+        recovered += features.length;
+        if (gaps) remaining.push(gaps);
+    }
+
+    console.log(`✓ Recovered ${recovered} records, ${remaining.length} gaps remaining`);
+
+    const records = Array.from(byObjectId.values());
+    const updated = {
+        ...dataset,
+        records,
+        maxObjectId: Math.max(dataset.maxObjectId, d3.max(records, d => d.objectId) || 0),
+        gaps: remaining
+    };
+
+    if (source.supportsIncremental) {
+        await writeDataset(updated);
+    }
+    return updated;
+}
+
+async function retrySeasons(source, dataset) {
+    const parts = [];
+
+    for (const part of dataset.parts) {
+        const { source: seasonSource } = source.seasons.find(season => season.year === part.year);
+
+        try {
+            if (!part.dataset) {
+                parts.push({ year: part.year, dataset: await loadData(seasonSource), error: null });
+            } else if (part.dataset.gaps.length > 0) {
+                parts.push({ year: part.year, dataset: await retryGaps(seasonSource, part.dataset), error: null });
+            } else {
+                parts.push(part);
+            }
+        } catch (error) {
+            console.warn(`Retrying the ${part.year} season failed:`, error);
+            parts.push(part);
+        }
+    }
+
+    return combineSeasons(source, parts);
+}
+
+export function countMissingRecords(gaps) {
+    return d3.sum(gaps, gap => gap.missing ?? gap.offsets.length * gap.batchSize);
+}
+
+async function fetchUpdatedPending(source, objectIds) {
+    const chunks = [];
+    for (let i = 0; i < objectIds.length; i += PENDING_CHUNK_SIZE) {
+        chunks.push(objectIds.slice(i, i + PENDING_CHUNK_SIZE));
+    }
+
+    const updated = [];
+    // Run a few chunks at a time to match the batch fetcher's concurrency.
+    // A failed chunk is not a gap: its rows are still Pending in the cache and
+    // will be checked again on the next refresh.
+    for (let i = 0; i < chunks.length; i += 4) {
+        const results = await Promise.all(chunks.slice(i, i + 4).map(chunk =>
+            source.fetchRecords(`OBJECTID IN (${chunk.join(',')}) AND RESULT <> 'Pending'`)
+                .catch(error => {
+                    console.warn('Could not re-check pending records:', error);
+                    return { features: [] };
+                })
+        ));
+        results.forEach(({ features }) => updated.push(...features));
+    }
+    return updated;
+}
+
+export class BatchFetchManager {
+    constructor(apiUrl, batchSize = 2000, maxConcurrent = 4, where = '1=1') {
         this.apiUrl = apiUrl;
+        this.where = where;
         this.batchSize = batchSize;
         this.maxConcurrent = maxConcurrent;
         this.completed = new Map(); // offset -> batch data
@@ -24,12 +309,42 @@ class BatchFetchManager {
         this.failed = new Set(); // offsets that failed after retries
         this.nextFetchOffset = 0; // Next offset to fetch
         this.nextAggregateOffset = 0; // Next offset to aggregate
+        this.endOffset = null; // Lowest offset known to hold the end of the data
+        this.consecutiveFailures = 0; // Failed offsets aggregated in a row
         this.hasMore = true;
         this.totalFetched = 0;
+        this.total = null; // Record count from returnCountOnly, if available
+        this.countMismatch = null; // { expected, received } when the run doesn't match the count
+    }
+
+    // Exact number of records matching the where clause, or null if the
+    // count query fails (fetching then falls back to discovering the end
+    // through exceededTransferLimit)
+    async fetchCount() {
+        const url = `${this.apiUrl}?f=json&where=${encodeURIComponent(this.where)}&returnCountOnly=true`;
+
+        try {
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`API request failed: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            if (data.error || typeof data.count !== 'number') {
+                throw new Error(data.error ? data.error.message : 'No count in response');
+            }
+
+            return data.count;
+        } catch (error) {
+            console.warn('Record count query failed, discovering the end of the data instead:', error);
+            return null;
+        }
     }
 
     async fetchBatch(offset, retries = 3) {
-        const url = `${this.apiUrl}?f=json&where=1%3D1&outFields=*&resultOffset=${offset}&resultRecordCount=${this.batchSize}`;
+        const url = `${this.apiUrl}?f=json&where=${encodeURIComponent(this.where)}&outFields=*&resultOffset=${offset}&resultRecordCount=${this.batchSize}`;
 
         for (let attempt = 0; attempt <= retries; attempt++) {
             try {
@@ -46,6 +361,11 @@ class BatchFetchManager {
 
                 const data = await response.json();
 
+                // ArcGIS reports query errors with a 200 status and an error body
+                if (data.error) {
+                    throw new Error(`API error ${data.error.code}: ${data.error.message}`);
+                }
+
                 if (data.features && data.features.length > 0) {
                     const features = data.features.map(feature => feature.attributes);
                     return {
@@ -74,12 +394,27 @@ class BatchFetchManager {
 
     async fetchAllBatches(progressCallback = null) {
         const allFeatures = [];
+        const startTime = Date.now();
+
+        // Plan every offset up front when the total is known
+        this.total = await this.fetchCount();
+
+        if (this.total === 0) {
+            console.log('No records match, nothing to fetch');
+            return allFeatures;
+        }
+
+        if (this.total !== null) {
+            this.endOffset = (Math.ceil(this.total / this.batchSize) - 1) * this.batchSize;
+            console.log(`Fetching ${this.total} records in ${this.endOffset / this.batchSize + 1} batches...`);
+        }
 
         console.log('Starting parallel batch fetching...');
 
         while (this.hasMore || this.inFlight.size > 0) {
-            // Start new fetches up to maxConcurrent limit
-            while (this.hasMore && this.inFlight.size < this.maxConcurrent) {
+            // Start new fetches up to maxConcurrent limit, never past a known end
+            while (this.hasMore && this.inFlight.size < this.maxConcurrent &&
+                (this.endOffset === null || this.nextFetchOffset <= this.endOffset)) {
                 const offset = this.nextFetchOffset;
                 console.log(`Starting fetch for offset ${offset} (${this.inFlight.size + 1}/${this.maxConcurrent} concurrent)`);
 
@@ -89,6 +424,10 @@ class BatchFetchManager {
                         this.inFlight.delete(offset);
                         this.totalFetched += result.features.length;
 
+                        if (!result.exceededTransferLimit && (this.endOffset === null || offset < this.endOffset)) {
+                            this.endOffset = offset;
+                        }
+
                         console.log(`  ✓ Fetched ${result.features.length} records at offset ${offset} (total: ${this.totalFetched})`);
 
                         return result;
@@ -109,67 +448,154 @@ class BatchFetchManager {
                 await Promise.race(Array.from(this.inFlight.values()));
             }
 
-            // Aggregate completed batches in sequential order
-            while (this.completed.has(this.nextAggregateOffset)) {
-                const batch = this.completed.get(this.nextAggregateOffset);
-                this.completed.delete(this.nextAggregateOffset);
-                allFeatures.push(...batch.features);
+            // Aggregate completed batches in sequential order. Failed offsets are
+            // stepped over as gaps (retried below) so later batches still count.
+            while (this.completed.has(this.nextAggregateOffset) || this.failed.has(this.nextAggregateOffset)) {
+                const offset = this.nextAggregateOffset;
+                this.nextAggregateOffset += this.batchSize;
 
-                // Only set hasMore = false when we've aggregated a batch with no more data
-                if (!batch.exceededTransferLimit) {
-                    this.hasMore = false;
-                    console.log(`  → Reached end of data at offset ${this.nextAggregateOffset}`);
+                if (this.failed.has(offset)) {
+                    this.consecutiveFailures++;
+
+                    // Without a known total, stop probing higher offsets while
+                    // the service keeps failing
+                    if (this.total === null && this.hasMore && this.consecutiveFailures >= this.maxConcurrent) {
+                        this.hasMore = false;
+                        console.warn(`  → Stopping after ${this.consecutiveFailures} consecutive failed batches at offset ${offset}`);
+                    }
+                } else {
+                    this.consecutiveFailures = 0;
+                    const batch = this.completed.get(offset);
+                    this.completed.delete(offset);
+                    allFeatures.push(...batch.features);
+
+                    // Only set hasMore = false when we've aggregated a batch with no more data
+                    if (!batch.exceededTransferLimit && this.hasMore) {
+                        this.hasMore = false;
+                        console.log(`  → Reached end of data at offset ${offset}`);
+                    }
                 }
 
-                this.nextAggregateOffset += this.batchSize;
+                // With a known total, the last planned batch ends the run
+                // (rows added since the count are left for the next refresh)
+                if (this.total !== null && offset >= this.endOffset && this.hasMore) {
+                    this.hasMore = false;
+                    console.log(`  → Reached last planned batch at offset ${offset}`);
+                }
             }
 
             // Report progress
             if (progressCallback && allFeatures.length > 0) {
-                const estimatedTotal = this.hasMore
-                    ? Math.max(this.totalFetched, this.nextFetchOffset)
-                    : this.totalFetched;
-                const percent = this.hasMore
-                    ? Math.min(Math.round((allFeatures.length / estimatedTotal) * 100), 99)
-                    : 100;
-
-                progressCallback({
-                    loaded: allFeatures.length,
-                    estimatedTotal,
-                    percent
-                });
+                progressCallback(this.getProgress(allFeatures.length, startTime));
             }
         }
 
+        // Batches started past the end of the data don't leave gaps
+        if (this.endOffset !== null) {
+            this.failed.forEach(offset => {
+                if (offset > this.endOffset) this.failed.delete(offset);
+            });
+        }
+
+        // Give failed offsets one more chance now that the rest of the run is done
+        if (this.failed.size > 0) {
+            console.log(`Retrying ${this.failed.size} failed batches...`);
+            allFeatures.push(...await this.fetchOffsets(Array.from(this.failed)));
+        }
+
         // Check if we have any data
         if (allFeatures.length === 0 && this.failed.size > 0) {
             throw new Error('Failed to fetch any batches');
         }
 
         if (this.failed.size > 0) {
-            console.warn(`Completed with ${this.failed.size} failed batches. Returning ${allFeatures.length} records.`);
+            console.warn(`Completed with ${this.failed.size} failed batches at offsets ${this.getFailedOffsets().join(', ')}. Returning ${allFeatures.length} records.`);
         } else {
             console.log(`✓ Successfully fetched all ${allFeatures.length} records using parallel batching`);
         }
 
+        // Check the result against the count query. Records missing because
+        // of failed batches are already described by the gaps.
+        if (this.total !== null && this.failed.size === 0 && allFeatures.length !== this.total) {
+            console.warn(`Expected ${this.total} records but received ${allFeatures.length}`);
+            this.countMismatch = { expected: this.total, received: allFeatures.length };
+        }
+
+        if (progressCallback && allFeatures.length > 0) {
+            progressCallback(this.getProgress(allFeatures.length, startTime));
+        }
+
         return allFeatures;
     }
-}
 
-async function fetchAllRecords(progressCallback = null) {
-    const manager = new BatchFetchManager(API_BASE_URL, 2000, 4);
-    return await manager.fetchAllBatches(progressCallback);
+    getProgress(loaded, startTime) {
+        if (this.total === null) {
+            // Estimate the total from the offsets requested so far
+            const estimatedTotal = this.hasMore
+                ? Math.max(this.totalFetched, this.nextFetchOffset)
+                : this.totalFetched;
+            const percent = this.hasMore
+                ? Math.min(Math.round((loaded / estimatedTotal) * 100), 99)
+                : 100;
+
+            return { loaded, estimatedTotal, percent, exact: false, etaSeconds: null };
+        }
+
+        const percent = Math.min(Math.round((loaded / this.total) * 100), 100);
+        const elapsedSeconds = (Date.now() - startTime) / 1000;
+        const rate = loaded / elapsedSeconds;
+        const etaSeconds = rate > 0 ? Math.max(this.total - loaded, 0) / rate : null;
+
+        return { loaded, estimatedTotal: this.total, percent, exact: true, etaSeconds };
+    }
+
+    // Records not fetched because of failed batches: exact when the total is
+    // known, otherwise an upper bound of one full batch per failed offset
+    getMissingCount() {
+        if (this.total !== null) {
+            return Math.max(this.total - this.totalFetched, 0);
+        }
+        return this.failed.size * this.batchSize;
+    }
+
+    // Fetches specific offsets, e.g. gaps left by an earlier run. Offsets
+    // that still fail are kept in this.failed.
+    async fetchOffsets(offsets) {
+        const features = [];
+
+        for (let i = 0; i < offsets.length; i += this.maxConcurrent) {
+            await Promise.all(offsets.slice(i, i + this.maxConcurrent).map(offset =>
+                this.fetchBatch(offset)
+                    .then(result => {
+                        this.failed.delete(offset);
+                        this.totalFetched += result.features.length;
+                        features.push(...result.features);
+                        console.log(`  ✓ Fetched ${result.features.length} records at offset ${offset}`);
+                    })
+                    .catch(() => {
+                        this.failed.add(offset);
+                        console.error(`  ✗ Failed to fetch batch at offset ${offset}`);
+                    })
+            ));
+        }
+
+        return features;
+    }
+
+    getFailedOffsets() {
+        return Array.from(this.failed).sort((a, b) => a - b);
+    }
 }
 
-export function processData(rawData, deduplicate = true) {
+// Maps raw ArcGIS attributes to dashboard records. This is what gets cached;
+// year filtering and deduplication happen in finalizeRecords().
+function processRecords(rawData) {
     if (!rawData || !Array.isArray(rawData)) {
-        console.error('Invalid data provided to processData');
+        console.error('Invalid data provided to processRecords');
         return [];
     }
 
-    const currentYear = new Date().getFullYear();
-
-    const processed = rawData.map(d => {
+    return rawData.map(d => {
         try {
             return {
                 objectId: d.OBJECTID,
@@ -202,51 +628,133 @@ export function processData(rawData, deduplicate = true) {
             console.warn('Error processing data row:', error, d);
             return null;
         }
-    }).filter(d => d !== null && d.permitYear <= currentYear);
+    }).filter(d => d !== null);
+}
+
+// Rows with a permit year after the current year are data entry errors
+export function isFutureYear(record) {
+    return record.permitYear > new Date().getFullYear();
+}
+
+// Ways to choose which record of a duplicate specimen group to keep. compare()
+// is positive when a should be kept over b; ties keep the first record seen.
+export const DEDUP_STRATEGIES = {
+    latestDate: {
+        label: 'Latest collection date',
+        compare: (a, b) => dateValue(a) - dateValue(b),
+        describe: (kept, group) => describeLatestDate(kept, group)
+    },
+    finalOverPending: {
+        label: 'Prefer a final result over Pending',
+        compare: (a, b) => (isFinalResult(a) - isFinalResult(b)) || (dateValue(a) - dateValue(b)),
+        describe: (kept, group) => {
+            const finals = group.filter(isFinalResult);
+            if (finals.length > 0 && finals.length < group.length) {
+                return finals.length === 1
+                    ? `Only final result (${kept.result}); others Pending`
+                    : `Final result over Pending, then ${describeLatestDate(kept, finals).toLowerCase()}`;
+            }
+            return describeLatestDate(kept, group);
+        }
+    },
+    highestObjectId: {
+        label: 'Highest OBJECTID',
+        compare: (a, b) => a.objectId - b.objectId,
+        describe: (kept) => `Highest OBJECTID (${kept.objectId})`
+    }
+};
 
-    if (deduplicate) {
-        // Deduplicate by specimen number, keeping the record with the latest collection date
-        const deduped = deduplicateBySpecimen(processed);
-        console.log(`Processed ${rawData.length} records, deduplicated to ${deduped.length} (removed ${processed.length - deduped.length} duplicates)`);
+const DEFAULT_DEDUP_POLICY = {
+    strategy: 'latestDate',
+    keepWithoutSpecimen: false
+};
+
+// Drops future-year rows and, unless policy is null, deduplicates by specimen
+// number. Returns the records plus an audit of the duplicate groups.
+export function finalizeRecords(records, policy = DEFAULT_DEDUP_POLICY) {
+    const processed = records.filter(d => !isFutureYear(d));
+
+    if (policy) {
+        const deduped = deduplicateBySpecimen(processed, policy);
+        console.log(`Processed ${records.length} records, deduplicated to ${deduped.records.length} (removed ${processed.length - deduped.records.length} duplicates)`);
         return deduped;
     } else {
-        console.log(`Processed ${rawData.length} records (no deduplication)`);
-        return processed;
+        console.log(`Processed ${records.length} records (no deduplication)`);
+        return { records: processed, duplicates: null };
     }
 }
 
-function deduplicateBySpecimen(data) {
+function deduplicateBySpecimen(data, { strategy, keepWithoutSpecimen }) {
+    const { compare, describe } = DEDUP_STRATEGIES[strategy] || DEDUP_STRATEGIES[DEFAULT_DEDUP_POLICY.strategy];
+
     // Group by specimen number
     const grouped = new Map();
+    const withoutSpecimen = [];
 
     data.forEach(record => {
         const specimenNo = record.specimenNo;
 
         if (!specimenNo) {
-            // Skip records without specimen numbers
-            // Uncomment below to keep records without specimen numbers:
-            // grouped.set(`no-specimen-${record.objectId}`, record);
+            withoutSpecimen.push(record);
             return;
         }
 
-        const existing = grouped.get(specimenNo);
+        if (!grouped.has(specimenNo)) {
+            grouped.set(specimenNo, []);
+        }
+        grouped.get(specimenNo).push(record);
+    });
 
-        if (!existing) {
-            grouped.set(specimenNo, record);
-        } else {
-            // Keep the one with the latest collection date
-            const existingDate = existing.collectionDate ? existing.collectionDate.getTime() : 0;
-            const currentDate = record.collectionDate ? record.collectionDate.getTime() : 0;
+    const records = [];
+    const groups = [];
 
-            if (currentDate > existingDate) {
-                grouped.set(specimenNo, record);
-            }
+    grouped.forEach((group, specimenNo) => {
+        const kept = group.reduce((best, record) => compare(record, best) > 0 ? record : best);
+        records.push(kept);
+
+        if (group.length > 1) {
+            groups.push({ specimenNo, records: group, kept, reason: describe(kept, group) });
         }
     });
 
-    return Array.from(grouped.values());
+    if (keepWithoutSpecimen) {
+        records.push(...withoutSpecimen);
+    }
+
+    return {
+        records,
+        duplicates: {
+            policy: { strategy, keepWithoutSpecimen },
+            groups,
+            removed: d3.sum(groups, group => group.records.length - 1),
+            withoutSpecimen: withoutSpecimen.length
+        }
+    };
+}
+
+function dateValue(record) {
+    return record.collectionDate ? record.collectionDate.getTime() : 0;
+}
+
+function isFinalResult(record) {
+    return record.result !== 'Pending';
+}
+
+function describeLatestDate(kept, group) {
+    const latest = dateValue(kept);
+    const tied = group.filter(record => dateValue(record) === latest).length;
+
+    if (!kept.collectionDate) {
+        return 'No collection dates; first record kept';
+    }
+    const date = kept.collectionDate.toLocaleDateString();
+    return tied > 1
+        ? `Latest collection date (${date}), tied; first record kept`
+        : `Latest collection date (${date})`;
 }
 
+// Fallback labels for when the layer definition has no coded-value domain
+// for a field (see applyLabels())
 function getCollectionTypeName(type) {
     // This is a guess made by an LLM, not based on any official documentation.
     switch (type) {
@@ -318,6 +826,51 @@ function parseHarvestDate(dateString) {
     return null;
 }
 
+// Converts county names to the class names of the map's county paths
+// ("St. Louis" to "st_louis")
+export function normalizeCountyName(name) {
+    if (!name) return '';
+    return name
+        .toLowerCase()
+        .replace(/\./g, '') // Remove periods
+        .replace(/\s+/g, '_'); // Replace spaces with underscores
+}
+
+// Dashboard-level filters (the year and core area selectors, the map's
+// county selection, the surveillance zone and the time-lapse date range),
+// shared by the main thread and the data worker. Works on records and on
+// summary rows.
+export function matchesFilters(d, filters) {
+    if (filters.year && d.permitYear !== filters.year) {
+        return false;
+    }
+    if (filters.coreArea && d.coreArea !== filters.coreArea) {
+        return false;
+    }
+    // Counties selected on the map and the surveillance zone, as map class
+    // names
+    if (filters.counties && filters.counties.length > 0 && !filters.counties.includes(normalizeCountyName(d.countyName))) {
+        return false;
+    }
+    if (filters.zone && !filters.zone.includes(normalizeCountyName(d.countyName))) {
+        return false;
+    }
+    // Time-lapse window { from, to } in milliseconds (from is null when
+    // cumulative). Records are dated by harvest date, or collection date
+    // when that is missing; summary rows and undated records are left out.
+    if (filters.dateRange) {
+        const date = d.harvestDate || d.collectionDate;
+        if (!date) {
+            return false;
+        }
+        const time = date.getTime();
+        if (time >= filters.dateRange.to || (filters.dateRange.from != null && time < filters.dateRange.from)) {
+            return false;
+        }
+    }
+    return true;
+}
+
 export function groupByCounty(data) {
     const grouped = d3.group(data, d => d.countyName);
 
@@ -330,4 +883,84 @@ export function groupByCounty(data) {
         unsuitable: samples.filter(d => d.result === 'Unfit').length,
         samples
     })).filter(d => d.county); // Remove entries without county names
-}
\ No newline at end of file
+}
+
+// Samples and positives per week (starting Sunday) of the harvest date, or
+// collection date when that is missing, for the weekly charts. Undated
+// samples are left out.
+export function countByWeek(samples) {
+    const dated = samples.filter(d => d.harvestDate || d.collectionDate);
+
+    return d3.rollups(
+        dated,
+        v => ({ count: v.length, positive: v.filter(d => d.result === 'Positive').length }),
+        d => d3.timeWeek.floor(d.harvestDate || d.collectionDate)
+    )
+        .map(([week, counts]) => ({ week, ...counts }))
+        .sort((a, b) => a.week - b.week);
+}
+
+// Counts per PLSS section (GISlabel, e.g. T23NR13WS08), for the section layer
+// of the map. Samples are left out as the worker sends these to the page.
+export function groupBySection(data) {
+    const grouped = d3.group(data.filter(d => d.gisLabel), d => d.gisLabel);
+
+    return Array.from(grouped, ([label, samples]) => ({
+        label,
+        count: samples.length,
+        pending: samples.filter(d => d.result === 'Pending').length,
+        positive: samples.filter(d => d.result === 'Positive').length,
+        negative: samples.filter(d => d.result === 'Negative').length,
+        unsuitable: samples.filter(d => d.result === 'Unfit').length
+    }));
+}
+
+// Counts per CWD management core area, with the counties its samples come
+// from ({ county, count }). Records outside core areas are left out.
+export function groupByCoreArea(data) {
+    const grouped = d3.group(data.filter(d => d.coreArea), d => d.coreArea);
+
+    return Array.from(grouped, ([coreArea, samples]) => ({
+        coreArea,
+        count: samples.length,
+        pending: samples.filter(d => d.result === 'Pending').length,
+        positive: samples.filter(d => d.result === 'Positive').length,
+        negative: samples.filter(d => d.result === 'Negative').length,
+        unsuitable: samples.filter(d => d.result === 'Unfit').length,
+        counties: Array.from(d3.rollup(samples.filter(d => d.countyName), v => v.length, d => d.countyName),
+            ([county, count]) => ({ county, count }))
+    }));
+}
+
+// Same shape as groupByCoreArea() from summary rows
+export function groupSummaryByCoreArea(summary) {
+    const grouped = d3.group(summary.filter(d => d.coreArea), d => d.coreArea);
+    const countResult = (rows, result) => d3.sum(rows.filter(d => d.result === result), d => d.count);
+
+    return Array.from(grouped, ([coreArea, rows]) => ({
+        coreArea,
+        count: d3.sum(rows, d => d.count),
+        pending: countResult(rows, 'Pending'),
+        positive: countResult(rows, 'Positive'),
+        negative: countResult(rows, 'Negative'),
+        unsuitable: countResult(rows, 'Unfit'),
+        counties: Array.from(d3.rollup(rows.filter(d => d.countyName), v => d3.sum(v, d => d.count), d => d.countyName),
+            ([county, count]) => ({ county, count }))
+    }));
+}
+
+// Same shape as groupByCounty() (without samples) from summary rows
+export function groupSummaryByCounty(summary) {
+    const grouped = d3.group(summary, d => d.countyName);
+    const countResult = (rows, result) => d3.sum(rows.filter(d => d.result === result), d => d.count);
+
+    return Array.from(grouped, ([county, rows]) => ({
+        county,
+        count: d3.sum(rows, d => d.count),
+        pending: countResult(rows, 'Pending'),
+        positive: countResult(rows, 'Positive'),
+        negative: countResult(rows, 'Negative'),
+        unsuitable: countResult(rows, 'Unfit'),
+        samples: null
+    })).filter(d => d.county);
+}
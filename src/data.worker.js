@@ -0,0 +1,151 @@
+import {
+    loadData,
+    loadSummary,
+    loadLayerInfo,
+    applyLabels,
+    retryGaps,
+    finalizeRecords,
+    matchesFilters,
+    groupByCounty,
+    countByWeek,
+    groupBySection,
+    groupByCoreArea,
+    groupSummaryByCounty,
+    groupSummaryByCoreArea
+} from './data.js';
+import { createDataSource } from './sources.js';
+import { buildQualityReport } from './quality.js';
+
+// Runs the loading pipeline (fetching, processing, deduplication) off the main
+// thread. The worker keeps the cached dataset and the deduplicated records so
+// filter changes can be re-aggregated here too. See dataClient.js for the
+// main-thread side.
+
+let source = null;
+let dataset = null; // Processed records as cached
+let data = null; // Deduplicated records
+let duplicates = null; // Audit of the duplicate specimen groups
+let policy = null; // Deduplication policy
+let summary = null; // Fast-start summary rows, until records are loaded
+let layerInfo = null; // Field aliases and coded-value domains
+
+const handlers = {
+    init({ sourceName, sourceConfig, deduplication }) {
+        source = createDataSource(sourceName, sourceConfig);
+        policy = deduplication;
+        return {
+            label: source.label,
+            supportsStatistics: source.supportsStatistics
+        };
+    },
+
+    async load({ forceFull }, reportProgress) {
+        dataset = await loadData(source, { forceFull, progressCallback: reportProgress });
+        layerInfo = await loadLayerInfo(source);
+        applyLabels(dataset.records, layerInfo);
+        ({ records: data, duplicates } = finalizeRecords(dataset.records, policy));
+        summary = null;
+        return describeDataset(dataset.stale);
+    },
+
+    async loadSummary() {
+        const result = await loadSummary(source);
+        summary = result.summary;
+        return result;
+    },
+
+    async retryGaps() {
+        dataset = await retryGaps(source, dataset);
+        applyLabels(dataset.records, layerInfo);
+        ({ records: data, duplicates } = finalizeRecords(dataset.records, policy));
+        return describeDataset(false);
+    },
+
+    // Re-deduplicate the loaded records with a different policy. Before
+    // records are loaded (fast-start mode) the policy is only stored for
+    // load() and null is returned.
+    setDeduplication({ deduplication }) {
+        policy = deduplication;
+        if (!dataset) {
+            return null;
+        }
+        ({ records: data, duplicates } = finalizeRecords(dataset.records, policy));
+        return describeDataset(false);
+    },
+
+    // Per-county, per-section and per-core-area counts for the filtered
+    // records (or summary rows, which have no sections or weeks). Samples are
+    // left out so the whole dataset isn't copied back on every change; each
+    // county gets its weekly counts for the tooltip charts instead.
+    aggregate({ filters }) {
+        if (data) {
+            const filtered = data.filter(d => matchesFilters(d, filters));
+            return {
+                counties: groupByCounty(filtered).map(county => ({
+                    ...county,
+                    samples: null,
+                    weeks: countByWeek(county.samples)
+                })),
+                sections: groupBySection(filtered),
+                coreAreas: groupByCoreArea(filtered)
+            };
+        }
+        if (summary) {
+            const filtered = summary.filter(d => matchesFilters(d, filters));
+            return {
+                counties: groupSummaryByCounty(filtered),
+                sections: [],
+                coreAreas: groupSummaryByCoreArea(filtered)
+            };
+        }
+        return { counties: [], sections: [], coreAreas: [] };
+    },
+
+    // Counts per result and publish flag of the filtered records (or
+    // summary rows), shaped like summary rows for updateStatsFromSummary().
+    // Lets the stat cards follow time-lapse playback without the records
+    // being filtered on the main thread.
+    countResults({ filters }) {
+        const rows = (data || summary || []).filter(d => matchesFilters(d, filters));
+        const counts = new Map();
+
+        rows.forEach(d => {
+            const key = `${d.result}|${d.publish}`;
+            if (!counts.has(key)) {
+                counts.set(key, { result: d.result, publish: d.publish, count: 0 });
+            }
+            counts.get(key).count += d.count ?? 1;
+        });
+
+        return Array.from(counts.values());
+    }
+};
+
+function describeDataset(stale) {
+    return {
+        data,
+        syncedAt: dataset.syncedAt,
+        stale,
+        gaps: dataset.gaps || [],
+        countMismatches: dataset.countMismatches || [],
+        failedSeasons: dataset.failedSeasons || [],
+        quality: buildQualityReport(dataset.records, policy),
+        duplicates,
+        aliases: layerInfo ? layerInfo.aliases : {}
+    };
+}
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        const reportProgress = (progress) => {
+            self.postMessage({ id, type: 'progress', progress });
+        };
+        const result = await handlers[type](payload || {}, reportProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        console.error(`Data worker "${type}" failed:`, error);
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
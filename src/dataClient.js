@@ -0,0 +1,70 @@
+// Main-thread side of data.worker.js. Each call posts a request to the worker
+// and resolves with its result; progress messages are passed to onProgress.
+
+export function createDataClient() {
+    const worker = new Worker(new URL('./data.worker.js', import.meta.url), { type: 'module' });
+    const pending = new Map(); // request id -> { resolve, reject, onProgress }
+    let nextId = 0;
+
+    worker.onmessage = (event) => {
+        const { id, type } = event.data;
+        const request = pending.get(id);
+        if (!request) return;
+
+        switch (type) {
+            case 'progress':
+                if (request.onProgress) request.onProgress(event.data.progress);
+                break;
+            case 'result':
+                pending.delete(id);
+                request.resolve(event.data.result);
+                break;
+            case 'error':
+                pending.delete(id);
+                request.reject(new Error(event.data.message));
+                break;
+        }
+    };
+
+    worker.onerror = (event) => {
+        console.error('Data worker error:', event.message);
+        pending.forEach(request => request.reject(new Error(event.message || 'Data worker failed')));
+        pending.clear();
+    };
+
+    const call = (type, payload = {}, onProgress = null) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ id, type, payload });
+    });
+
+    return {
+        init(sourceName, sourceConfig, deduplication) {
+            return call('init', { sourceName, sourceConfig, deduplication });
+        },
+
+        load(forceFull = false, onProgress = null) {
+            return call('load', { forceFull }, onProgress);
+        },
+
+        loadSummary() {
+            return call('loadSummary');
+        },
+
+        retryGaps() {
+            return call('retryGaps');
+        },
+
+        setDeduplication(deduplication) {
+            return call('setDeduplication', { deduplication });
+        },
+
+        aggregate(filters) {
+            return call('aggregate', { filters });
+        },
+
+        countResults(filters) {
+            return call('countResults', { filters });
+        }
+    };
+}
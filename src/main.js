@@ -1,20 +1,56 @@
 import * as d3 from 'd3';
-import { loadData, processData } from './data.js';
+import { countMissingRecords, matchesFilters, normalizeCountyName, DEDUP_STRATEGIES } from './data.js';
+import { config, getDataSourceName, getSectionGeometryUrl, getStartMode } from './config.js';
+import { createDataClient } from './dataClient.js';
 import { createMap } from './map.js';
 import { createTable } from './table.js';
-import { updateStats } from './stats.js';
+import { createQualityPanel } from './qualityPanel.js';
+import { createAuditPanel } from './auditPanel.js';
+import { createSufficiencyPanel } from './sufficiencyPanel.js';
+import { createCountyPanel } from './countyPanel.js';
+import { createTimeline } from './timeline.js';
+import { createExportPanel } from './mapExport.js';
+import { createTableExportPanel } from './tableExport.js';
+import { updateStats, updateStatsFromSummary, updateDetectionStat } from './stats.js';
+import { positivityRate } from './rates.js';
 import './style.css';
 
 class CWDDashboard {
     constructor() {
-        this.rawData = null;
+        this.client = null; // Loads and aggregates data in a Web Worker
         this.data = null; // Deduplicated records
+        this.summary = null; // Server-side counts in fast-start mode, until records are loaded
+        this.gaps = []; // Batches that failed to load
+        this.failedSeasons = []; // Seasons of a season registry that failed to load
+        this.countMismatches = []; // Loads that didn't match the server's record count
+        this.syncedAt = null;
+        this.sourceName = null; // Key of the data source in config.sources
+        this.source = null; // { label, supportsStatistics }
         this.filteredData = null;
+        this.filteredSummary = null;
         this.map = null;
         this.table = null;
+        this.qualityPanel = null;
+        this.quality = null; // Data quality report for the loaded records
+        this.auditPanel = null;
+        this.sufficiencyPanel = null;
+        this.countyData = []; // Per-county counts for the current filters
+        this.countyPanel = null;
+        this.drillDown = null; // { countyClass, name } of the county drilled into on the map
+        this.timeline = null;
+        this.designPrevalence = config.designPrevalence;
+        this.duplicates = null; // Audit of the duplicate specimen groups
+        this.aliases = {}; // Field aliases from the layer definition
+        this.deduplication = { ...config.deduplication };
         this.filters = {
-            year: ''
+            year: '',
+            coreArea: '',
+            dateRange: null, // { from, to } while the time-lapse is showing part of the season
+            counties: [], // Counties selected on the map (map class names); filter the table and stat cards only
+            zone: null // Counties of the surveillance zone when the table is filtered to it, like counties
         };
+        this.tableCountySearch = ''; // County search of the table filters, highlighted on the map
+        this.aggregateRequest = 0;
 
         this.init();
     }
@@ -23,13 +59,20 @@ class CWDDashboard {
         try {
             this.showLoading(true);
 
-            // Load and process data (deduplicated only) with progress tracking
-            this.rawData = await loadData((progress) => {
-                this.updateLoadingProgress(progress);
-            });
-            this.data = processData(this.rawData, true);
+            // Choose the data source from config or the ?source= URL parameter
+            this.sourceName = getDataSourceName();
+            this.client = createDataClient();
+            this.source = await this.client.init(this.sourceName, config.sources[this.sourceName], this.deduplication);
+            console.log(`Using data source: ${this.source.label}`);
 
-            console.log(`Loaded ${this.data.length} CWD samples`);
+            // In fast-start mode only per-county counts are fetched up front;
+            // records are downloaded when the table is opened
+            const fastStart = getStartMode() === 'fast' && this.source.supportsStatistics;
+            if (fastStart) {
+                await this.loadSummary();
+            } else {
+                await this.loadDataset();
+            }
 
             // Initialize components
             await this.initializeComponents();
@@ -42,6 +85,7 @@ class CWDDashboard {
 
             // Initial render
             this.updateAll();
+            this.setTableLoaded(!fastStart);
 
             this.showLoading(false);
 
@@ -51,12 +95,249 @@ class CWDDashboard {
         }
     }
 
+    async loadSummary() {
+        const { summary, syncedAt } = await this.client.loadSummary();
+        this.summary = summary;
+        this.syncedAt = syncedAt;
+
+        this.updateSyncStatus();
+    }
+
+    async loadDataset(forceFull = false, progressCallback = (progress) => this.updateLoadingProgress(progress)) {
+        // Load (from cache where possible) and deduplicate in the worker with progress tracking
+        const dataset = await this.client.load(forceFull, progressCallback);
+        this.applyDataset(dataset);
+        this.syncedAt = dataset.syncedAt;
+        this.summary = null;
+
+        console.log(`Loaded ${this.data.length} CWD samples`);
+
+        this.updateSyncStatus(dataset.stale);
+        this.updatePartialDataBanner();
+    }
+
+    // Fetch the batches that failed during loading and redraw
+    async retryMissingRecords() {
+        d3.select('#retry-missing').property('disabled', true).text('Retrying...');
+
+        try {
+            this.applyDataset(await this.client.retryGaps());
+
+            this.populateFilters();
+            this.updateAll();
+        } catch (error) {
+            console.error('Error retrying missing records:', error);
+        }
+
+        d3.select('#retry-missing').property('disabled', false).text('Retry');
+        this.updatePartialDataBanner();
+    }
+
+    applyDataset({ data, gaps, failedSeasons, countMismatches, quality, duplicates, aliases }) {
+        this.data = data;
+        this.gaps = gaps;
+        this.failedSeasons = failedSeasons;
+        this.countMismatches = countMismatches;
+        this.quality = quality;
+        this.duplicates = duplicates;
+        this.aliases = aliases;
+        this.updateDatasetPanels();
+    }
+
+    // The quality and audit panels depend on the loaded records only, so they
+    // are redrawn when the dataset changes, not on every filter change (which
+    // would also reset the audit's "Show more")
+    updateDatasetPanels() {
+        // Not created yet during the initial load
+        if (!this.qualityPanel) return;
+
+        this.qualityPanel.update(this.quality);
+        this.auditPanel.update(this.duplicates);
+    }
+
+    // Design prevalence changed in the sufficiency table
+    changeDesignPrevalence(prevalence) {
+        this.designPrevalence = prevalence;
+        this.map.setDesignPrevalence(prevalence);
+        this.updateDetectionStat();
+    }
+
+    // Detection stat card, for the selected counties and zone when the table
+    // is filtered to them
+    updateDetectionStat() {
+        const { counties: selected, zone } = this.filters;
+        const counties = this.countyData.filter(d => {
+            const countyClass = normalizeCountyName(d.county);
+            return (selected.length === 0 || selected.includes(countyClass)) && (!zone || zone.includes(countyClass));
+        });
+        updateDetectionStat(counties, this.designPrevalence, config.targetConfidence);
+    }
+
+    // Re-deduplicate with a different policy from the audit panel
+    async changeDeduplication(deduplication) {
+        try {
+            this.deduplication = deduplication;
+            const dataset = await this.client.setDeduplication(deduplication);
+
+            // In fast-start mode the policy applies once records are loaded
+            if (!dataset) return;
+
+            this.applyDataset(dataset);
+            this.populateFilters();
+            this.updateAll();
+        } catch (error) {
+            console.error('Error changing deduplication:', error);
+        }
+    }
+
+    updatePartialDataBanner() {
+        const gaps = this.gaps;
+        const failedSeasons = this.failedSeasons;
+        const countMismatches = this.countMismatches;
+        const banner = d3.select('#partial-data-banner');
+
+        if (gaps.length === 0 && failedSeasons.length === 0 && countMismatches.length === 0) {
+            banner.style('display', 'none');
+            return;
+        }
+
+        const messages = [];
+
+        if (gaps.length > 0) {
+            // Describe each failed batch as a range of record positions
+            const ranges = gaps.flatMap(gap => gap.offsets.map(offset =>
+                `${gap.season ? `${gap.season} ` : ''}${offset.toLocaleString()}–${(offset + gap.batchSize - 1).toLocaleString()}`
+            ));
+            messages.push(`${countMissingRecords(gaps).toLocaleString()} records missing at offsets ${ranges.join(', ')}`);
+        }
+
+        if (failedSeasons.length > 0) {
+            messages.push(`season${failedSeasons.length === 1 ? '' : 's'} ${failedSeasons.map(season => season.year).join(', ')} could not be loaded`);
+        }
+
+        if (countMismatches.length > 0) {
+            messages.push(countMismatches.map(({ season, expected, received }) =>
+                `${season ? `${season}: ` : ''}the server counted ${expected.toLocaleString()} records but ${received.toLocaleString()} were received`
+            ).join(', '));
+        }
+
+        banner.style('display', 'flex');
+        // Count mismatches can't be retried, only fixed by a full reload
+        d3.select('#retry-missing').style('display', gaps.length > 0 || failedSeasons.length > 0 ? null : 'none');
+        d3.select('#partial-data-message').text(`Partial data: ${messages.join('; ')}`);
+    }
+
+    async forceFullReload() {
+        try {
+            this.showLoading(true);
+            d3.select('#loading-message').text('Loading data...');
+
+            await this.loadDataset(true);
+
+            this.populateFilters();
+            this.updateAll();
+            this.setTableLoaded(true);
+
+            this.showLoading(false);
+        } catch (error) {
+            console.error('Error reloading data:', error);
+            this.showError('Failed to reload CWD data. Please try again.');
+        }
+    }
+
+    // Fast-start mode: download the full records in the background when the
+    // table is opened, then redraw everything from them
+    async openTable() {
+        const message = d3.select('#table-placeholder-message');
+        d3.select('#open-table').property('disabled', true);
+
+        try {
+            await this.loadDataset(false, (progress) => {
+                message.text(this.formatProgress(progress));
+            });
+
+            this.populateFilters();
+            this.updateAll();
+            this.setTableLoaded(true);
+        } catch (error) {
+            console.error('Error loading records:', error);
+            message.text('Failed to load sample records. Please try again.');
+            d3.select('#open-table').property('disabled', false);
+        }
+    }
+
+    setTableLoaded(loaded) {
+        d3.select('#table-container').classed('table-not-loaded', !loaded);
+    }
+
     async initializeComponents() {
         // Initialize map
-        this.map = await createMap('#map');
+        this.map = await createMap('#map', {
+            sectionGeometryUrl: getSectionGeometryUrl(this.sourceName),
+            minTestedForRate: config.minTestedForRate,
+            designPrevalence: this.designPrevalence,
+            targetConfidence: config.targetConfidence,
+            zoneDistance: config.zoneDistance,
+            onCountyDrillDown: (countyClass, name) => {
+                this.drillDown = countyClass ? { countyClass, name } : null;
+                this.updateCountyPanel();
+            },
+            onSelectionChange: (counties) => this.changeCountySelection(counties)
+        });
+
+        // Initialize county drill-down panel
+        this.countyPanel = createCountyPanel('#county-panel', {
+            onClose: () => this.map.resetZoom()
+        });
+
+        // Initialize time-lapse scrubber
+        this.timeline = createTimeline('#timeline', {
+            onChange: (dateRange, playing) => {
+                this.filters.dateRange = dateRange;
+                return playing ? this.updatePlaybackStep() : this.updateAll();
+            },
+            onPause: () => this.updateAll()
+        });
+
+        // Initialize map export
+        createExportPanel('#map-export', {
+            getState: () => this.map.getExportState(),
+            getDetails: () => this.describeMapView(),
+            defaultTitle: 'Missouri CWD Surveillance'
+        });
 
         // Initialize table
-        this.table = createTable('#data-table');
+        this.table = createTable('#data-table', {
+            onCountySearch: (search) => {
+                this.tableCountySearch = search;
+                this.highlightSearchedCounties();
+            }
+        });
+
+        // Initialize export of the table's rows and their county counts
+        createTableExportPanel('#table-export', {
+            getData: () => this.table.getExportData(),
+            getMetadata: () => this.describeDataExport(),
+            countyGeometryUrl: config.countyGeometryUrl
+        });
+
+        // Initialize surveillance sufficiency table
+        this.sufficiencyPanel = createSufficiencyPanel('#sufficiency-report', {
+            designPrevalence: this.designPrevalence,
+            targetConfidence: config.targetConfidence,
+            onPrevalenceChange: (prevalence) => this.changeDesignPrevalence(prevalence)
+        });
+
+        // Initialize data quality report
+        this.qualityPanel = createQualityPanel('#quality-report');
+
+        // Initialize duplicate audit, which also controls the deduplication policy
+        this.auditPanel = createAuditPanel('#audit-report', {
+            strategies: DEDUP_STRATEGIES,
+            policy: this.deduplication,
+            onPolicyChange: (deduplication) => this.changeDeduplication(deduplication)
+        });
+        this.updateDatasetPanels();
 
         // Populate filter options
         this.populateFilters();
@@ -64,7 +345,7 @@ class CWDDashboard {
 
     populateFilters() {
         // Populate year filter
-        const years = [...new Set(this.data.map(d => d.permitYear))].sort();
+        const years = [...new Set((this.data || this.summary).map(d => d.permitYear))].sort();
         const yearSelect = d3.select('#year-filter');
         yearSelect.selectAll('option:not(:first-child)').remove();
         yearSelect.selectAll('option.year-option')
@@ -74,15 +355,85 @@ class CWDDashboard {
             .classed('year-option', true)
             .attr('value', d => d)
             .text(d => d);
+
+        // Keep the current selection if the year still exists after a reload
+        if (!years.includes(this.filters.year)) {
+            this.filters.year = '';
+        }
+        yearSelect.property('value', this.filters.year);
+
+        // Populate core area filter
+        const coreAreas = [...new Set((this.data || this.summary).map(d => d.coreArea).filter(Boolean))].sort();
+        const coreAreaSelect = d3.select('#core-area-filter');
+        coreAreaSelect.selectAll('option:not(:first-child)').remove();
+        coreAreaSelect.selectAll('option.core-area-option')
+            .data(coreAreas)
+            .enter()
+            .append('option')
+            .classed('core-area-option', true)
+            .attr('value', d => d)
+            .text(d => `Core Area ${d}`);
+
+        if (!coreAreas.includes(this.filters.coreArea)) {
+            this.filters.coreArea = '';
+        }
+        coreAreaSelect.property('value', this.filters.coreArea);
     }
 
     setupEventListeners() {
+        // Discard the cache and fetch every record again
+        d3.select('#force-reload').on('click', () => {
+            this.forceFullReload();
+        });
+
+        d3.select('#open-table').on('click', () => {
+            this.openTable();
+        });
+
+        d3.select('#retry-missing').on('click', () => {
+            this.retryMissingRecords();
+        });
+
         // Year filter change event
         d3.select('#year-filter').on('change', () => {
             this.filters.year = d3.select('#year-filter').node().value;
             this.updateAll();
         });
 
+        // Core area filter change event
+        d3.select('#core-area-filter').on('change', () => {
+            this.filters.coreArea = d3.select('#core-area-filter').node().value;
+            this.updateAll();
+        });
+
+        // Map mode: counties or CWD core areas
+        d3.select('#map-mode').on('change', () => {
+            const mode = d3.select('#map-mode').node().value;
+            d3.select('#zone-distance').style('display', mode === 'zones' ? null : 'none');
+            this.map.setMode(mode);
+            this.updateZoneStats();
+        });
+
+        // Neighbors around positive counties in the zone mode
+        d3.select('#zone-distance').property('value', config.zoneDistance).on('change', () => {
+            this.map.setZoneDistance(Number(d3.select('#zone-distance').node().value));
+            this.updateZoneStats();
+        });
+
+        // Classification scheme and palette of the map colors
+        d3.select('#map-classification').on('change', () => {
+            this.map.setClassification(d3.select('#map-classification').node().value);
+        });
+
+        d3.select('#map-palette').on('change', () => {
+            this.map.setPalette(d3.select('#map-palette').node().value);
+        });
+
+        // Legend class numbers drawn on the counties
+        d3.select('#map-class-numbers').on('change', () => {
+            this.map.setClassNumbers(d3.select('#map-class-numbers').property('checked'));
+        });
+
         // Stat card click events to change map metric
         d3.selectAll('.stat-card').on('click', (event) => {
             const metric = event.currentTarget.getAttribute('data-metric');
@@ -99,25 +450,289 @@ class CWDDashboard {
     }
 
     applyFilters() {
-        // Apply year filter
-        this.filteredData = this.data.filter(d => {
-            if (this.filters.year && d.permitYear !== this.filters.year) {
-                return false;
+        // Apply year, core area, time-lapse and county selection filters
+        if (this.data) {
+            this.filteredData = this.data.filter(d => matchesFilters(d, this.filters));
+        } else {
+            this.filteredSummary = this.summary.filter(d => matchesFilters(d, this.filters));
+        }
+    }
+
+    // Filters of the map: the county selection only filters the table and
+    // stat cards
+    mapFilters() {
+        return { ...this.filters, counties: [], zone: null };
+    }
+
+    // Counties selected (or deselected) on the map
+    changeCountySelection(counties) {
+        this.filters.counties = counties;
+        this.renderSelectionChips();
+        this.updateAll();
+    }
+
+    // Filter the table and stat cards to the surveillance zone as drawn, or
+    // stop filtering with null
+    changeZoneFilter(zone) {
+        this.filters.zone = zone;
+        this.renderSelectionChips();
+        this.updateZoneStats();
+        this.updateAll();
+    }
+
+    // Counts of the surveillance zone below the map in the zone mode
+    updateZoneStats() {
+        const container = d3.select('#zone-stats');
+        const zone = this.map.getZone();
+        container.html('');
+
+        if (d3.select('#map-mode').node().value !== 'zones') {
+            container.style('display', 'none');
+            return;
+        }
+        container.style('display', 'flex');
+
+        const zoneClasses = zone.map(d => d.countyClass);
+        const counties = this.countyData.filter(d => zoneClasses.includes(normalizeCountyName(d.county)));
+        const counts = {
+            count: d3.sum(counties, d => d.count),
+            positive: d3.sum(counties, d => d.positive),
+            negative: d3.sum(counties, d => d.negative),
+            pending: d3.sum(counties, d => d.pending)
+        };
+        const { tested, rate, lower, upper } = positivityRate(counts);
+        const percent = d3.format('.1%');
+        const positiveCounties = zone.filter(d => d.steps === 0).length;
+
+        container.append('span').text(
+            `Zone: ${zone.length} counties (${positiveCounties} with positives) · ` +
+            `${counts.count.toLocaleString()} samples · ${counts.positive.toLocaleString()} positive · ` +
+            `${counts.negative.toLocaleString()} negative · ${counts.pending.toLocaleString()} pending` +
+            (tested > 0 ? ` · Positivity ${percent(rate)} (95% CI ${percent(lower)}–${percent(upper)})` : '')
+        );
+
+        container.append('button')
+            .attr('class', 'zone-filter-btn')
+            .property('disabled', zone.length === 0 && !this.filters.zone)
+            .text(this.filters.zone ? 'Stop filtering table' : 'Filter table to zone')
+            .on('click', () => this.changeZoneFilter(this.filters.zone ? null : zoneClasses));
+    }
+
+    // Selected counties (and the zone filter) as removable chips above the
+    // map
+    renderSelectionChips() {
+        const container = d3.select('#county-selection');
+        const counties = this.filters.counties;
+        const zone = this.filters.zone;
+        container.html('');
+        container.style('display', counties.length > 0 || zone ? 'flex' : 'none');
+        if (counties.length === 0 && !zone) return;
+
+        container.append('span').attr('class', 'county-selection-label').text('Selected:');
+        const chips = container.selectAll('.county-chip')
+            .data(counties)
+            .enter()
+            .append('span')
+            .attr('class', 'county-chip');
+        chips.append('span').text(d => this.countyDisplayName(d));
+        chips.append('button')
+            .attr('class', 'county-chip-remove')
+            .attr('aria-label', d => `Remove ${this.countyDisplayName(d)}`)
+            .html('&times;')
+            .on('click', (event, countyClass) => {
+                const remaining = counties.filter(d => d !== countyClass);
+                this.map.setSelection(remaining);
+                this.changeCountySelection(remaining);
+            });
+
+        if (zone) {
+            const zoneChip = container.append('span').attr('class', 'county-chip zone-chip');
+            zoneChip.append('span').text(`Surveillance zone (${zone.length} counties)`);
+            zoneChip.append('button')
+                .attr('class', 'county-chip-remove')
+                .attr('aria-label', 'Remove surveillance zone filter')
+                .html('&times;')
+                .on('click', () => this.changeZoneFilter(null));
+        }
+
+        if (counties.length > 0) {
+            container.append('button')
+                .attr('class', 'county-selection-clear')
+                .text('Clear selection')
+                .on('click', () => {
+                    this.map.setSelection([]);
+                    this.changeCountySelection([]);
+                });
+        }
+    }
+
+    // County name for a map class name, as spelled in the data when it has
+    // samples
+    countyDisplayName(countyClass) {
+        const county = this.countyData.find(d => normalizeCountyName(d.county) === countyClass);
+        return county ? county.county : countyClass.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    // Outline the counties matching the table's county search on the map
+    highlightSearchedCounties() {
+        const search = this.tableCountySearch;
+        const matches = search
+            ? this.countyData.filter(d => d.county.toLowerCase().includes(search)).map(d => normalizeCountyName(d.county))
+            : [];
+        this.map.setHighlightedCounties(matches);
+    }
+
+    // One step of time-lapse playback: only the map and stat cards are
+    // redrawn, both from counts aggregated in the worker. The table and the
+    // other panels catch up when playback pauses or ends.
+    updatePlaybackStep() {
+        const request = ++this.aggregateRequest;
+
+        return Promise.all([
+            this.client.aggregate(this.mapFilters()),
+            this.client.countResults(this.filters)
+        ]).then(([{ counties, sections, coreAreas }, resultCounts]) => {
+            if (request === this.aggregateRequest) {
+                this.countyData = counties;
+                this.map.render(counties, sections, coreAreas);
+                updateStatsFromSummary(resultCounts);
+                this.updateDetectionStat();
             }
-            return true;
+        }).catch(error => {
+            console.error('Error aggregating time-lapse step:', error);
         });
     }
 
     updateAll() {
+        // The time-lapse steps through the samples of the other filters, and
+        // goes back to all dates when those cover different dates
+        const undatedFilters = { ...this.mapFilters(), dateRange: null };
+        const timelineSamples = this.data ? this.data.filter(d => matchesFilters(d, undatedFilters)) : null;
+        if (this.timeline.update(timelineSamples)) {
+            this.filters.dateRange = null;
+        }
+
         this.applyFilters();
 
+        // Per-county and per-section counts are aggregated in the worker;
+        // ignore results that arrive after a newer filter change
+        const request = ++this.aggregateRequest;
+        const aggregated = this.client.aggregate(this.mapFilters()).then(({ counties, sections, coreAreas }) => {
+            if (request === this.aggregateRequest) {
+                this.countyData = counties;
+                this.map.render(counties, sections, coreAreas);
+                this.sufficiencyPanel.update(counties);
+                this.updateDetectionStat();
+                this.updateCountyPanel();
+                this.highlightSearchedCounties();
+                this.updateZoneStats();
+            }
+        }).catch(error => {
+            console.error('Error aggregating county data:', error);
+        });
+
+        if (!this.data) {
+            // Fast-start mode: only the map and stat cards can be drawn
+            updateStatsFromSummary(this.filteredSummary);
+            return aggregated;
+        }
+
         // Update components
-        this.map.update(this.filteredData);
+        this.table.setFieldAliases(this.aliases);
         this.table.update(this.filteredData);
         updateStats(this.filteredData);
 
         // Update table count
         d3.select('#table-count').text(`${this.filteredData.length} samples`);
+
+        return aggregated;
+    }
+
+    // Counts and (once records are loaded) samples of the drilled-down county
+    updateCountyPanel() {
+        if (!this.drillDown) {
+            this.countyPanel.hide();
+            return;
+        }
+
+        const { countyClass, name } = this.drillDown;
+        const counts = this.countyData.find(d => normalizeCountyName(d.county) === countyClass) || null;
+        const mapFilters = this.mapFilters();
+        const samples = this.data
+            ? this.data.filter(d => normalizeCountyName(d.countyName) === countyClass && matchesFilters(d, mapFilters))
+            : null;
+
+        this.countyPanel.show(counts ? counts.county : name, samples, counts);
+    }
+
+    // Year, core area, county selection, zone and time-lapse filters as text
+    describeFilters() {
+        const formatDate = d3.timeFormat('%b %d, %Y');
+        const filters = [
+            `Year: ${this.filters.year || 'All years'}`,
+            `Core area: ${this.filters.coreArea || 'All'}`
+        ];
+        if (this.filters.counties.length > 0) {
+            filters.push(`Selected: ${this.filters.counties.map(d => this.countyDisplayName(d)).join(', ')}`);
+        }
+        if (this.filters.zone) {
+            filters.push(`Zone: ${this.filters.zone.length} counties`);
+        }
+        const { dateRange } = this.filters;
+        if (dateRange) {
+            const through = formatDate(new Date(dateRange.to - 1));
+            filters.push(dateRange.from == null
+                ? `Dates: through ${through}`
+                : `Dates: ${formatDate(new Date(dateRange.from))} – ${through}`);
+        }
+        return filters;
+    }
+
+    // Data source, sync time and export time
+    describeDataTimestamp() {
+        const syncedText = this.syncedAt ? new Date(this.syncedAt).toLocaleString() : 'never';
+        return `Data: ${this.source.label}, synced ${syncedText} · Exported ${new Date().toLocaleString()}`;
+    }
+
+    // Filters, metric and data timestamp of the map, printed on exported
+    // maps, and a file name for them
+    describeMapView() {
+        const selectedText = (selector) => {
+            const select = d3.select(selector).node();
+            return select.options[select.selectedIndex].text;
+        };
+        const metricCard = d3.select('.stat-card.selected');
+        const metric = metricCard.attr('data-metric');
+
+        const filters = this.describeFilters();
+        filters.splice(2, 0, `Metric: ${metricCard.select('.stat-label').text()}`);
+        const mapMode = d3.select('#map-mode').node().value === 'zones'
+            ? `${selectedText('#map-mode')} (${selectedText('#zone-distance').toLowerCase()})`
+            : selectedText('#map-mode');
+
+        return {
+            lines: [
+                filters.join(' · '),
+                `${mapMode} · ${selectedText('#map-classification')} · ${selectedText('#map-palette')}`,
+                this.describeDataTimestamp()
+            ],
+            filename: `cwd-map-${this.filters.year || 'all-years'}-${metric}-${d3.timeFormat('%Y-%m-%d')(new Date())}`
+        };
+    }
+
+    // Metadata header of exported table data and the end of its file names
+    describeDataExport() {
+        const { strategy, keepWithoutSpecimen } = this.deduplication;
+        const kept = DEDUP_STRATEGIES[strategy] ? DEDUP_STRATEGIES[strategy].label.toLowerCase() : strategy;
+        return {
+            lines: [
+                'Missouri CWD surveillance samples',
+                this.describeFilters().join(' · '),
+                `Duplicate specimens: kept by ${kept}; records without a specimen number ${keepWithoutSpecimen ? 'kept' : 'dropped'}`,
+                this.describeDataTimestamp()
+            ],
+            filename: `${this.filters.year || 'all-years'}-${d3.timeFormat('%Y-%m-%d')(new Date())}`
+        };
     }
 
     initializeMetricSelection() {
@@ -125,13 +740,35 @@ class CWDDashboard {
         d3.select('.stat-card[data-metric="positive"]').classed('selected', true);
     }
 
+    updateSyncStatus(stale = false) {
+        const syncedText = this.syncedAt
+            ? new Date(this.syncedAt).toLocaleString()
+            : 'never';
+        d3.select('#sync-source').text(this.source.label);
+        d3.select('#sync-time')
+            .text(stale ? `${syncedText} (offline, showing cached data)` : syncedText)
+            .classed('stale', stale);
+    }
+
     showLoading(show) {
         d3.select('#loading').style('display', show ? 'flex' : 'none');
     }
 
-    updateLoadingProgress({ loaded, estimatedTotal, percent }) {
-        const message = `Loading data: ${loaded.toLocaleString()} of ~${estimatedTotal.toLocaleString()} records (${percent}%)`;
-        d3.select('#loading-message').text(message);
+    updateLoadingProgress(progress) {
+        d3.select('#loading-message').text(this.formatProgress(progress));
+    }
+
+    formatProgress({ loaded, estimatedTotal, percent, exact, etaSeconds, season }) {
+        const what = season ? `Loading ${season} season` : 'Loading data';
+
+        if (!exact) {
+            return `${what}: ${loaded.toLocaleString()} of ~${estimatedTotal.toLocaleString()} records (${percent}%)`;
+        }
+
+        const eta = etaSeconds != null && percent < 100
+            ? ` - about ${Math.max(Math.ceil(etaSeconds), 1)}s left`
+            : '';
+        return `${what}: ${loaded.toLocaleString()} of ${estimatedTotal.toLocaleString()} records (${percent}%)${eta}`;
     }
 
     showError(message) {
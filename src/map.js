@@ -1,26 +1,101 @@
 import * as d3 from "d3";
-import { groupByCounty } from "./data.js";
+import { normalizeCountyName } from "./data.js";
+import { loadSectionGeometry } from "./sections.js";
+import { positivityRate, surveillanceSufficiency } from "./rates.js";
+import { classify, paletteInterpolator, CLASSIFICATIONS } from "./classify.js";
+import { sampleOutline, adjacencyFromOutlines, neighborsWithin } from "./adjacency.js";
+import { RESULT_COLORS, RESULT_ORDER, renderResultBar, renderWeeklyBars } from "./charts.js";
 
-export async function createMap(selector) {
+// Bivariate colors by positives class (rows: none, fewer, more) and samples
+// class (columns: fewest to most)
+const BIVARIATE_COLORS = [
+	["#e8e8e8", "#ace4e4", "#5ac8c8"],
+	["#dfb0d6", "#a5add3", "#5698b9"],
+	["#be64ac", "#8c62aa", "#3b4994"],
+];
+
+export async function createMap(
+	selector,
+	{
+		sectionGeometryUrl = null,
+		minTestedForRate = 10,
+		designPrevalence = 0.01,
+		targetConfidence = 0.95,
+		zoneDistance = 1,
+		onCountyDrillDown = () => {},
+		onSelectionChange = () => {},
+	} = {}
+) {
 	// Select the existing SVG element
 	const svg = d3.select(selector);
 	const countyFillsGroup = svg.select("#county-fills");
 	const countyOutlinesGroup = svg.select("#county-outlines");
 
+	// Move the map's contents into one group that d3-zoom transforms
+	const zoomLayer = svg.append("g").attr("id", "map-zoom-layer");
+	svg.selectChildren()
+		.filter((d, i, nodes) => nodes[i] !== zoomLayer.node())
+		.each(function () {
+			zoomLayer.node().appendChild(this);
+		});
+
+	// Hatching for areas with too few tested samples for a reliable rate
+	const hatch = svg
+		.insert("defs", ":first-child")
+		.append("pattern")
+		.attr("id", "low-n-hatch")
+		.attr("patternUnits", "userSpaceOnUse")
+		.attr("width", 6)
+		.attr("height", 6)
+		.attr("patternTransform", "rotate(45)");
+	hatch.append("rect").attr("width", 6).attr("height", 6).attr("fill", "#f1eef6");
+	hatch
+		.append("line")
+		.attr("x1", 0)
+		.attr("y1", 0)
+		.attr("x2", 0)
+		.attr("y2", 6)
+		.attr("stroke", "#9e9ac8")
+		.attr("stroke-width", 2);
+
+	// PLSS sections of the zoomed-in county, drawn above the county fills
+	const sectionsGroup = zoomLayer
+		.insert("g", "#county-outlines")
+		.attr("id", "section-layer");
+
 	// Get SVG dimensions for coordinate calculations
 	const svgNode = svg.node();
-	const viewBox = svg.attr("viewBox").split(" ");
+	const fullViewBox = svg.attr("viewBox");
+	const viewBox = fullViewBox.split(" ");
 	const width = parseFloat(viewBox[2]);
 	const height = parseFloat(viewBox[3]);
 
-	// Create or select connection lines group (append after outlines so lines appear on top)
-	let linesGroup = svg.select("g.connection-lines");
+	// Create or select connection lines group (append after outlines so lines
+	// appear on top, and inside the zoom layer so they start at the county
+	// at any zoom level)
+	let linesGroup = zoomLayer.select("g.connection-lines");
 	if (linesGroup.empty()) {
-		linesGroup = svg
+		linesGroup = zoomLayer
 			.append("g")
 			.attr("class", "connection-lines");
 	}
 
+	// Proportional symbols of the circle mode, above the county outlines
+	// and below the tooltip lines. They let hovers and clicks through to
+	// the counties.
+	const symbolsGroup = zoomLayer
+		.insert("g", "g.connection-lines")
+		.attr("id", "county-symbols")
+		.style("pointer-events", "none");
+
+	// Legend class numbers at the county centers, so the map can be read
+	// without telling its colors apart
+	const labelsGroup = zoomLayer
+		.insert("g", "g.connection-lines")
+		.attr("id", "county-labels")
+		.attr("aria-hidden", "true")
+		.style("pointer-events", "none");
+
 	// Create tooltip
 	const tooltip = d3
 		.select("body")
@@ -37,18 +112,15 @@ export async function createMap(selector) {
 		.style("z-index", "1000");
 
 	// Track sticky tooltips and drag state
-	const stickyTooltips = new Map(); // countyClass -> {tooltip, line, county}
+	const stickyTooltips = new Map(); // countyClass -> {tooltip, line, county, updateLine}
 	let isDragging = false;
 
-	// Helper function to normalize county names to class format
-	// Converts "St. Louis" to "st_louis"
-	const normalizeCountyName = (name) => {
-		if (!name) return "";
-		return name
-			.toLowerCase()
-			.replace(/\./g, "") // Remove periods
-			.replace(/\s+/g, "_"); // Replace spaces with underscores
-	};
+	// Drilled-down county and the section geometry, loaded on the first
+	// drill-down
+	let zoomedCounty = null;
+	let sectionGeometry = null;
+	let sectionGeometryPromise = null;
+	let currentTransform = d3.zoomIdentity;
 
 	// Helper function to convert class name back to display name
 	// Converts "st_louis" to "St Louis" (title case)
@@ -71,58 +143,675 @@ export async function createMap(selector) {
 		}
 	};
 
-	// Color scales for different metrics
-	const colorScales = {
-		total: d3.scaleSequential(d3.interpolateBlues),
-		positive: d3.scaleSequential(d3.interpolateReds),
-		notDetected: d3.scaleSequential(d3.interpolateGreens),
-		pending: d3.scaleSequential(d3.interpolateOranges),
-		unsuitable: d3.scaleSequential(d3.interpolateGreys),
+	// Colors for the different metrics, used by the "metric" palette
+	const metricInterpolators = {
+		total: d3.interpolateBlues,
+		positive: d3.interpolateReds,
+		notDetected: d3.interpolateGreens,
+		pending: d3.interpolateOranges,
+		unsuitable: d3.interpolateGreys,
+		rate: d3.interpolatePurples,
+		detection: d3.interpolateYlGn,
 	};
 
 	let selectedMetric = "positive";
+	let classification = "linear";
+	let palette = "metric";
+	let mapMode = "counties"; // "coreAreas", "zones", "bivariate" or "circles"
+	let lastCountyData = [];
+	let lastSectionData = [];
+	let lastCoreAreaData = [];
+	let lastLegend = null; // { title, steps: [{ color, range, count, number }], note } as last drawn
+	let showClassNumbers = false;
+	let focusedCounty = null; // the county in the tab order
+
+	// Value of the selected metric in a county's or section's counts
+	const metricValue = (stats) => {
+		switch (selectedMetric) {
+			case "total":
+				return stats.count;
+			case "positive":
+				return stats.positive;
+			case "notDetected":
+				return stats.negative;
+			case "pending":
+				return stats.pending;
+			case "unsuitable":
+				return stats.unsuitable;
+			case "rate":
+				return positivityRate(stats).rate;
+			case "detection":
+				return surveillanceSufficiency(stats, designPrevalence, targetConfidence).probability;
+			default:
+				return 0;
+		}
+	};
+
+	// Rates from only a few tested samples are hatched instead of colored
+	const isLowN = (stats) =>
+		selectedMetric === "rate" && positivityRate(stats).tested < minTestedForRate;
+
+	// Metric value for the color scale's domain, leaving out low-n rates
+	const scaleValue = (stats) => (isLowN(stats) ? null : metricValue(stats));
+
+	const metricFill = (stats, color, noDataColor) => {
+		if (!stats || stats.count === 0) return noDataColor;
+		if (isLowN(stats)) return "url(#low-n-hatch)";
+		return color(metricValue(stats));
+	};
+
+	const isPercent = () => selectedMetric === "rate" || selectedMetric === "detection";
+
+	const formatValue = (value) =>
+		isPercent() ? d3.format(".0%")(value) : d3.format(",.3~r")(value);
+
+	// Legend text of a class: its label (zone and bivariate modes) or range
+	const classText = (d) => d.label || (d.from === d.to ? formatValue(d.from) : `${formatValue(d.from)} – ${formatValue(d.to)}`);
+
+	// Index of the class a value falls in: the last class starting at or
+	// below it (values on a bound belong to the class above, as in the
+	// legend counts)
+	const classIndex = (classes, value) => {
+		if (classes.length === 0) return null;
+		return Math.max(0, d3.bisectRight(classes.map((d) => d.from), value) - 1);
+	};
+
+	// Classify the metric values of the areas being colored (counties or
+	// sections with data, leaving out hatched ones). Detection probabilities
+	// are always shown on a 0-100% scale so counties compare against the
+	// target.
+	const classifyStats = (statsList) =>
+		classify(
+			statsList
+				.filter((stats) => stats && stats.count > 0)
+				.map(scaleValue)
+				.filter((value) => value != null),
+			{
+				scheme: classification,
+				interpolator: paletteInterpolator(palette, metricInterpolators[selectedMetric]),
+				domain: selectedMetric === "detection" ? [0, 1] : null,
+			}
+		);
+
+	const legendNote = (note) => {
+		if (selectedMetric === "rate") {
+			return `${note}. Hatched: fewer than ${minTestedForRate} samples with a final result`;
+		}
+		if (selectedMetric === "detection") {
+			return `${note}. Probability of detecting CWD at ${d3.format(".1~%")(designPrevalence)} prevalence; ${d3.format(".0%")(targetConfidence)} is the target`;
+		}
+		return note;
+	};
+
+	// Keep the ends of sticky tooltip lines on their tooltips
+	const updateStickyLines = () => {
+		stickyTooltips.forEach(({ updateLine }) => updateLine());
+	};
+
+	// Pan and zoom. Double-click is used for drilling down into a county
+	// instead of zooming in a step, and shift-drag for the lasso.
+	const maxZoom = 40;
+	const zoom = d3
+		.zoom()
+		.filter((event) => (!event.ctrlKey || event.type === "wheel") && !event.button && !(event.shiftKey && event.type === "mousedown"))
+		.scaleExtent([1, maxZoom])
+		.translateExtent([
+			[0, 0],
+			[width, height],
+		])
+		.on("zoom", (event) => {
+			currentTransform = event.transform;
+			zoomLayer.attr("transform", currentTransform);
+			updateStickyLines();
+			updateSymbolScale();
+
+			// Zooming all the way out by hand leaves the drill-down
+			if (event.sourceEvent && zoomedCounty && currentTransform.k <= 1) {
+				closeDrillDown();
+			}
+			updateBreadcrumb();
+		});
+
+	svg.call(zoom).on("dblclick.zoom", null);
+
+	// Counties selected with shift-click or the lasso. The selection filters
+	// the table and stat cards (see onSelectionChange), not the map.
+	const selectedCounties = new Set();
+
+	const updateSelectionOutlines = () => {
+		countyOutlinesGroup.selectAll("path").classed("county-selected", false);
+		selectedCounties.forEach((countyClass) => {
+			countyOutlinesGroup.select(`.${countyClass}`).classed("county-selected", true).raise();
+		});
+	};
+
+	const selectionChanged = () => {
+		updateSelectionOutlines();
+		onSelectionChange(Array.from(selectedCounties));
+	};
+
+	// Shift-drag draws a lasso; counties whose centers are inside it are
+	// added to the selection
+	const lassoPath = zoomLayer.append("path").attr("class", "map-lasso");
+	let lassoPoints = null;
 
-	// Add event listeners to fill paths
-	const setupCountyInteractions = (dataByCounty) => {
+	svg.call(
+		d3
+			.drag()
+			.filter((event) => event.shiftKey && !event.button)
+			.container(zoomLayer.node())
+			.clickDistance(4)
+			.on("start", (event) => {
+				lassoPoints = [[event.x, event.y]];
+			})
+			.on("drag", (event) => {
+				lassoPoints.push([event.x, event.y]);
+				lassoPath.attr("d", `M${lassoPoints.join("L")}Z`);
+			})
+			.on("end", () => {
+				const polygon = lassoPoints;
+				lassoPoints = null;
+				lassoPath.attr("d", null);
+				if (polygon.length < 3) return;
+
+				let added = false;
+				countyFillsGroup.selectAll("path").each(function () {
+					const countyClass = d3.select(this).attr("class");
+					const centroid = getCountyCentroid(countyClass);
+					if (centroid && d3.polygonContains(polygon, centroid) && !selectedCounties.has(countyClass)) {
+						selectedCounties.add(countyClass);
+						added = true;
+					}
+				});
+				if (added) selectionChanged();
+			})
+	);
+
+	// Transform that fits a bounding box (in map coordinates) with padding
+	const transformForBox = (bbox, padding = 0.15) => {
+		const scale = Math.min(
+			maxZoom,
+			1 / ((1 + 2 * padding) * Math.max(bbox.width / width, bbox.height / height))
+		);
+		return d3.zoomIdentity
+			.translate(width / 2, height / 2)
+			.scale(scale)
+			.translate(-(bbox.x + bbox.width / 2), -(bbox.y + bbox.height / 2));
+	};
+
+	// Breadcrumb back to the statewide view, shown while zoomed or drilled down
+	const updateBreadcrumb = () => {
+		const breadcrumb = d3.select("#map-breadcrumb");
+		breadcrumb.html("");
+
+		if (!zoomedCounty && currentTransform.k === 1) {
+			breadcrumb.style("display", "none");
+			return;
+		}
+
+		breadcrumb.style("display", null);
+		breadcrumb
+			.append("button")
+			.attr("class", "map-breadcrumb-link")
+			.text("Missouri")
+			.on("click", resetZoom);
+
+		if (zoomedCounty) {
+			breadcrumb.append("span").attr("class", "map-breadcrumb-separator").text("›");
+			breadcrumb
+				.append("span")
+				.attr("class", "map-breadcrumb-current")
+				.text(`${classToDisplayName(zoomedCounty)} County`);
+		}
+	};
+
+	const zoomToCounty = (countyClass) => {
+		const fillPath = countyFillsGroup.select(`.${countyClass}`);
+		if (fillPath.empty()) return;
+
+		zoomedCounty = countyClass;
+		svg.transition()
+			.duration(750)
+			.call(zoom.transform, transformForBox(fillPath.node().getBBox()));
+
+		// Fade the surrounding counties
 		countyFillsGroup
 			.selectAll("path")
-			.style("cursor", "pointer")
-			.on("mouseover", function (event) {
+			.style("opacity", function () {
+				return d3.select(this).attr("class") === countyClass ? null : 0.35;
+			});
+		updateBreadcrumb();
+		onCountyDrillDown(countyClass, classToDisplayName(countyClass));
+
+		if (!sectionGeometryPromise) {
+			sectionGeometryPromise = sectionGeometryUrl
+				? loadSectionGeometry(sectionGeometryUrl, fullViewBox)
+				: Promise.resolve(null);
+		}
+		sectionGeometryPromise.then((geometry) => {
+			sectionGeometry = geometry;
+			mapAPI.render(lastCountyData, lastSectionData, lastCoreAreaData);
+		});
+	};
+
+	// Leave the drill-down without changing the zoom
+	const closeDrillDown = () => {
+		if (!zoomedCounty) return;
+
+		zoomedCounty = null;
+		countyFillsGroup.selectAll("path").style("opacity", null);
+		onCountyDrillDown(null);
+
+		mapAPI.render(lastCountyData, lastSectionData, lastCoreAreaData);
+	};
+
+	// Back to the statewide view
+	const resetZoom = () => {
+		closeDrillDown();
+		svg.transition().duration(750).call(zoom.transform, d3.zoomIdentity);
+	};
+
+	// Escape resets the zoom while focus is in the map, not while typing in
+	// the dashboard's inputs
+	svg.on("keydown.map-zoom", (event) => {
+		if (event.key === "Escape") resetZoom();
+	});
+
+	// Draw the sections of the zoomed-in county, colored by the selected
+	// metric on a scale of their own. Returns false without geometry.
+	const renderSections = () => {
+		sectionsGroup.selectAll("path").remove();
+
+		if (!zoomedCounty || !sectionGeometry) return false;
+
+		const countySections = sectionGeometry.filter(
+			(section) => normalizeCountyName(section.county) === zoomedCounty
+		);
+		const statsByLabel = new Map(lastSectionData.map((d) => [d.label, d]));
+		const sectionStats = (section) => statsByLabel.get(section.label);
+
+		const { color, classes } = classifyStats(countySections.map(sectionStats));
+
+		sectionsGroup
+			.selectAll("path")
+			.data(countySections)
+			.enter()
+			.append("path")
+			.attr("class", "plss-section")
+			.attr("d", (section) => section.d)
+			.attr("fill", (section) => metricFill(sectionStats(section), color, "#f4f4f4"))
+			.on("mouseover", (event, section) => {
 				if (isDragging) return;
 
-				const countyClass = d3.select(this).attr("class");
-				const countyName = classToDisplayName(countyClass);
-				const countyStats = dataByCounty.get(countyClass);
-
-				if (countyStats) {
-					tooltip.style("visibility", "visible").html(`
-                            <strong>${countyName}</strong><br/>
-                            Total Samples: ${countyStats.count}<br/>
-                            Pending: ${countyStats.pending}<br/>
-                            Positive: ${countyStats.positive}<br/>
-                            Negative: ${countyStats.negative}<br/>
-                            Unsuitable: ${countyStats.unsuitable}
-                        `);
-				} else {
-					tooltip.style("visibility", "visible").html(`
-                            <strong>${countyName}</strong><br/>
+				const stats = sectionStats(section);
+				tooltip.style("visibility", "visible").html(
+					stats
+						? `
+                            <strong>${section.label}</strong><br/>
+                            ${statsHtml(stats)}
+                        `
+						: `
+                            <strong>${section.label}</strong><br/>
                             No CWD samples
+                        `
+				);
+				if (stats) appendTooltipCharts(tooltip, stats);
+			})
+			.on("mousemove", (event) => {
+				tooltip
+					.style("top", event.pageY - 10 + "px")
+					.style("left", event.pageX + 10 + "px");
+			})
+			.on("mouseout", () => {
+				tooltip.style("visibility", "hidden");
+			});
+
+		mapAPI.updateLegend(
+			classes,
+			["section", "sections"],
+			legendNote(`Sections of ${classToDisplayName(zoomedCounty)}; light sections contain no CWD data`)
+		);
+		return true;
+	};
+
+	// Positivity rate with its 95% Wilson interval
+	const rateHtml = (stats) => {
+		const { tested, rate, lower, upper } = positivityRate(stats);
+		if (tested === 0) return "Positivity: no final results";
+
+		const percent = d3.format(".1%");
+		const caution = tested < minTestedForRate ? " (too few to be reliable)" : "";
+		return `Positivity: ${percent(rate)} (95% CI ${percent(lower)}–${percent(upper)}), ${tested} tested${caution}`;
+	};
+
+	// Detection probability at the design prevalence, on the detection map
+	const detectionHtml = (stats) => {
+		if (selectedMetric !== "detection") return "";
+
+		const { probability, additional } = surveillanceSufficiency(stats, designPrevalence, targetConfidence);
+		const percent = d3.format(".0%");
+		const target = additional > 0
+			? `${additional} more needed for ${percent(targetConfidence)}`
+			: `${percent(targetConfidence)} target reached`;
+		return `<br/>Detection at ${d3.format(".1~%")(designPrevalence)}: ${percent(probability)} (${target})`;
+	};
+
+	// Tooltip lines for a county's, core area's or section's counts
+	const statsHtml = (stats) => `
+                            Total Samples: ${stats.count}<br/>
+                            Pending: ${stats.pending}<br/>
+                            Positive: ${stats.positive}<br/>
+                            Negative: ${stats.negative}<br/>
+                            Unsuitable: ${stats.unsuitable}<br/>
+                            ${rateHtml(stats)}${detectionHtml(stats)}
+                        `;
+
+	// Result bar and (for counties once records are loaded) weekly samples
+	// below the tooltip text, so pinned tooltips can be compared at a glance
+	const appendTooltipCharts = (tooltipSelection, stats) => {
+		const charts = tooltipSelection.append("div").attr("class", "tooltip-charts");
+		renderResultBar(
+			charts,
+			{
+				Positive: stats.positive,
+				Negative: stats.negative,
+				Pending: stats.pending,
+				Unfit: stats.unsuitable,
+			},
+			{ width: 220, height: 10 }
+		);
+		if (stats.weeks) {
+			renderWeeklyBars(charts, stats.weeks, { width: 220, height: 70 });
+		}
+	};
+
+	// Tooltip text as one line for screen readers
+	const plainText = (html) =>
+		html
+			.replace(/<br\/>/g, ". ")
+			.replace(/<[^>]+>/g, "")
+			.replace(/\s+/g, " ")
+			.replace(/\s+\./g, ".")
+			.trim();
+
+	// Page position next to a county, for tooltips opened from the keyboard
+	const pagePositionOf = (countyClass) => {
+		const rect = countyFillsGroup.select(`.${countyClass}`).node().getBoundingClientRect();
+		return [rect.right + window.scrollX, rect.top + rect.height / 2 + window.scrollY];
+	};
+
+	// The county in each direction is the neighbor whose center is closest
+	// to that direction from this county's center
+	const ARROW_DIRECTIONS = {
+		ArrowRight: [1, 0],
+		ArrowLeft: [-1, 0],
+		ArrowUp: [0, -1],
+		ArrowDown: [0, 1],
+	};
+
+	const neighborInDirection = (countyClass, [dx, dy]) => {
+		const center = getCountyCentroid(countyClass);
+		const neighbors = getAdjacency().get(countyClass);
+		if (!center || !neighbors) return null;
+
+		let best = null;
+		let bestAngle = Infinity;
+		neighbors.forEach((neighbor) => {
+			const other = getCountyCentroid(neighbor);
+			if (!other) return;
+			const along = (other[0] - center[0]) * dx + (other[1] - center[1]) * dy;
+			const across = Math.abs((other[0] - center[0]) * dy - (other[1] - center[1]) * dx);
+			if (along <= 0) return;
+			const angle = Math.atan2(across, along);
+			if (angle < bestAngle) {
+				best = neighbor;
+				bestAngle = angle;
+			}
+		});
+		return best;
+	};
+
+	// Pinned counties are pressed buttons
+	const updatePinnedState = () => {
+		countyFillsGroup.selectAll("path").attr("aria-pressed", function () {
+			return stickyTooltips.has(d3.select(this).attr("class"));
+		});
+	};
+
+	// Add event listeners to fill paths. describeCounty(countyClass) returns
+	// the tooltip { title, stats, details, empty } for the current map mode;
+	// classLabel(countyClass) the county's legend class for screen readers,
+	// or null.
+	const setupCountyInteractions = (describeCounty, classLabel) => {
+		const showTooltip = (countyClass, [pageX, pageY]) => {
+			const { title, stats, details, empty } = describeCounty(countyClass);
+
+			if (stats) {
+				tooltip.style("visibility", "visible").html(`
+                            <strong>${title}</strong><br/>
+                            ${statsHtml(stats)}${details}
                         `);
-				}
+				appendTooltipCharts(tooltip, stats);
+			} else {
+				tooltip.style("visibility", "visible").html(`
+                            <strong>${title}</strong><br/>
+                            ${empty}
+                        `);
+			}
+			tooltip.style("top", pageY - 10 + "px").style("left", pageX + 10 + "px");
+
+			// Highlight outline
+			const outlinePath = countyOutlinesGroup.select(
+				`.${countyClass}`
+			);
+			outlinePath
+				.raise()
+				.attr("stroke", "#000")
+				.attr("stroke-width", 2);
+
+			// Re-raise all highlighted counties to keep them on top
+			stickyTooltips.forEach(({ county }) => {
+				county.raise();
+			});
+		};
+
+		const hideTooltip = (countyClass) => {
+			tooltip.style("visibility", "hidden");
 
-				// Highlight outline
+			// Only reset outline if it doesn't have a sticky tooltip
+			if (!stickyTooltips.has(countyClass)) {
 				const outlinePath = countyOutlinesGroup.select(
 					`.${countyClass}`
 				);
-				outlinePath
-					.raise()
-					.attr("stroke", "#000")
-					.attr("stroke-width", 2);
-
-				// Re-raise all highlighted counties to keep them on top
-				stickyTooltips.forEach(({ county }) => {
-					county.raise();
+				outlinePath.attr("stroke", "#fff").attr("stroke-width", 1);
+			}
+		};
+
+		const toggleSelected = (countyClass) => {
+			if (selectedCounties.has(countyClass)) {
+				selectedCounties.delete(countyClass);
+			} else {
+				selectedCounties.add(countyClass);
+			}
+			selectionChanged();
+		};
+
+		// Toggle sticky tooltip, opened at a page position
+		const togglePinned = (countyClass, [pageX, pageY]) => {
+			if (stickyTooltips.has(countyClass)) {
+				// Remove existing sticky tooltip, line, and county highlight
+				const {
+					tooltip: existingTooltip,
+					line: existingLine,
+					county: existingCounty,
+				} = stickyTooltips.get(countyClass);
+				existingTooltip.remove();
+				existingLine.remove();
+				existingCounty.classed("county-highlighted", false);
+				stickyTooltips.delete(countyClass);
+				updatePinnedState();
+				return;
+			}
+
+			// Create new sticky tooltip
+			const { title, stats, details } = describeCounty(countyClass);
+			if (!stats) return;
+
+			// Apply highlight class to county outline
+			const countyElement = countyOutlinesGroup.select(
+				`.${countyClass}`
+			);
+			countyElement.raise().classed("county-highlighted", true);
+
+			// Calculate county centroid from bounding box
+			const centroid = getCountyCentroid(countyClass);
+			if (!centroid) return;
+
+			const stickyTooltip = d3
+				.select("body")
+				.append("div")
+				.attr("class", "sticky-tooltip")
+				.attr("role", "group")
+				.attr("aria-label", `${title} (pinned)`)
+				.style("position", "absolute")
+				.style("left", pageX + 10 + "px")
+				.style("top", pageY - 10 + "px")
+				.style("background", "rgba(0, 0, 0, 0.9)")
+				.style("color", "white")
+				.style("padding", "12px")
+				.style("border-radius", "4px")
+				.style("font-size", "12px")
+				.style("pointer-events", "all")
+				.style("cursor", "move")
+				.style("z-index", "1001")
+				.style("box-shadow", "0 4px 6px rgba(0,0,0,0.3)").html(`
+                            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 4px;">
+                                <strong style="margin-right: 12px;">${title}</strong>
+                                <button class="close-tooltip" aria-label="Unpin ${title}" style="background: none; border: none; color: white; cursor: pointer; font-size: 16px; padding: 0; line-height: 1;">&times;</button>
+                            </div>
+                            ${statsHtml(stats)}${details}
+                        `);
+			appendTooltipCharts(stickyTooltip, stats);
+
+			// Create connection line from county center to tooltip
+			const connectionLine = linesGroup
+				.append("line")
+				.attr("x1", centroid[0])
+				.attr("y1", centroid[1])
+				.attr("x2", centroid[0])
+				.attr("y2", centroid[1])
+				.attr("stroke", "rgba(0, 0, 0, 0.6)")
+				.attr("stroke-width", 2)
+				.attr("stroke-dasharray", "5,5")
+				.attr("stroke-linecap", "round")
+				.style("pointer-events", "none");
+
+			// Helper function to update line position based on tooltip location
+			const updateLine = () => {
+				const tooltipNode = stickyTooltip.node();
+				if (!tooltipNode) return;
+
+				const tooltipRect = tooltipNode.getBoundingClientRect();
+
+				// Calculate tooltip center in client coordinates
+				const tooltipCenter = svgNode.createSVGPoint();
+				tooltipCenter.x = tooltipRect.left + tooltipRect.width / 2;
+				tooltipCenter.y = tooltipRect.top + tooltipRect.height / 2;
+
+				// Convert tooltip center to map coordinates (inside the
+				// zoom layer, so the current pan and zoom are undone)
+				const svgPoint = tooltipCenter.matrixTransform(
+					zoomLayer.node().getScreenCTM().inverse()
+				);
+
+				// Update line endpoint to tooltip center
+				connectionLine.attr("x2", svgPoint.x).attr("y2", svgPoint.y);
+			};
+
+			// Set initial line position
+			updateLine();
+
+			// Add close button handler. Closing from the keyboard returns
+			// focus to the county.
+			stickyTooltip
+				.select(".close-tooltip")
+				.on("click", function (e) {
+					e.stopPropagation();
+					const hadFocus = document.activeElement === this;
+					stickyTooltip.remove();
+					connectionLine.remove();
+					countyElement
+						.classed("county-highlighted", false)
+						.attr("stroke", "#fff")
+						.attr("stroke-width", 1);
+					stickyTooltips.delete(countyClass);
+					updatePinnedState();
+					if (hadFocus) countyFillsGroup.select(`.${countyClass}`).node().focus();
+				});
+
+			// Make tooltip draggable
+			let offsetX, offsetY;
+			const drag = d3
+				.drag()
+				.on("start", function (event) {
+					isDragging = true;
+					tooltip.style("visibility", "hidden");
+
+					// Calculate offset from where user clicked to tooltip position
+					const element = d3.select(this);
+					const currentLeft =
+						parseInt(element.style("left")) || 0;
+					const currentTop =
+						parseInt(element.style("top")) || 0;
+					offsetX = event.x - currentLeft;
+					offsetY = event.y - currentTop;
+
+					element.style("cursor", "move");
+				})
+				.on("drag", function (event) {
+					d3.select(this)
+						.style("left", event.x - offsetX + "px")
+						.style("top", event.y - offsetY + "px")
+						.style("cursor", "move");
+
+					updateLine();
+				})
+				.on("end", function () {
+					isDragging = false;
+					d3.select(this).style("cursor", "move");
 				});
+
+			stickyTooltip.call(drag);
+			stickyTooltips.set(countyClass, {
+				tooltip: stickyTooltip,
+				line: connectionLine,
+				county: countyElement,
+				updateLine,
+			});
+			updatePinnedState();
+		};
+
+		// One county is in the tab order at a time (the last one focused);
+		// the arrow keys move between neighbors
+		const countyPaths = countyFillsGroup.selectAll("path");
+		if (!focusedCounty) focusedCounty = countyPaths.attr("class");
+
+		countyPaths
+			.style("cursor", "pointer")
+			.attr("tabindex", function () {
+				return d3.select(this).attr("class") === focusedCounty ? 0 : -1;
+			})
+			.attr("role", "button")
+			.attr("aria-label", function () {
+				const countyClass = d3.select(this).attr("class");
+				const { title, stats, details, empty } = describeCounty(countyClass);
+				const text = stats ? `${statsHtml(stats)}${details}` : empty;
+				const mapClass = classLabel(countyClass);
+				return `${title}. ${mapClass ? `${mapClass}. ` : ""}${plainText(text)}`;
+			})
+			.on("mouseover", function (event) {
+				if (isDragging) return;
+				showTooltip(d3.select(this).attr("class"), [event.pageX, event.pageY]);
 			})
 			.on("mousemove", function (event) {
 				tooltip
@@ -130,295 +819,786 @@ export async function createMap(selector) {
 					.style("left", event.pageX + 10 + "px");
 			})
 			.on("mouseout", function () {
+				hideTooltip(d3.select(this).attr("class"));
+			})
+			.on("focus", function () {
+				const countyClass = d3.select(this).attr("class");
+				if (focusedCounty !== countyClass) {
+					countyPaths.attr("tabindex", -1);
+					d3.select(this).attr("tabindex", 0);
+					focusedCounty = countyClass;
+				}
+				showTooltip(countyClass, pagePositionOf(countyClass));
+			})
+			.on("blur", function () {
+				hideTooltip(d3.select(this).attr("class"));
+			})
+			.on("keydown", function (event) {
 				const countyClass = d3.select(this).attr("class");
 
-				tooltip.style("visibility", "hidden");
-
-				// Only reset outline if it doesn't have a sticky tooltip
-				if (!stickyTooltips.has(countyClass)) {
-					const outlinePath = countyOutlinesGroup.select(
-						`.${countyClass}`
-					);
-					outlinePath.attr("stroke", "#fff").attr("stroke-width", 1);
+				if (ARROW_DIRECTIONS[event.key]) {
+					event.preventDefault();
+					const neighbor = neighborInDirection(countyClass, ARROW_DIRECTIONS[event.key]);
+					if (neighbor) countyFillsGroup.select(`.${neighbor}`).node().focus();
+				} else if (event.key === "Enter" || event.key === " ") {
+					// Enter pins the county's tooltip, Shift+Enter selects it
+					// like shift-click
+					event.preventDefault();
+					if (event.shiftKey) {
+						toggleSelected(countyClass);
+					} else {
+						togglePinned(countyClass, pagePositionOf(countyClass));
+					}
 				}
 			})
 			.on("click", function (event) {
 				event.stopPropagation();
 
+				// The clicks of a double-click (zoom) leave the pin alone
+				if (event.detail > 1) return;
+
 				const countyClass = d3.select(this).attr("class");
-				const countyName = classToDisplayName(countyClass);
-
-				// Toggle sticky tooltip
-				if (stickyTooltips.has(countyClass)) {
-					// Remove existing sticky tooltip, line, and county highlight
-					const {
-						tooltip: existingTooltip,
-						line: existingLine,
-						county: existingCounty,
-					} = stickyTooltips.get(countyClass);
-					existingTooltip.remove();
-					existingLine.remove();
-					existingCounty.classed("county-highlighted", false);
-					stickyTooltips.delete(countyClass);
-				} else {
-					// Create new sticky tooltip
-					const countyStats = dataByCounty.get(countyClass);
-					if (!countyStats) return;
 
-					// Apply highlight class to county outline
-					const countyElement = countyOutlinesGroup.select(
-						`.${countyClass}`
-					);
-					countyElement.raise().classed("county-highlighted", true);
+				// Shift-click toggles the county in the selection
+				if (event.shiftKey) {
+					toggleSelected(countyClass);
+					return;
+				}
 
-					// Calculate county centroid from bounding box
-					const centroid = getCountyCentroid(countyClass);
-					if (!centroid) return;
-
-					const stickyTooltip = d3
-						.select("body")
-						.append("div")
-						.attr("class", "sticky-tooltip")
-						.style("position", "absolute")
-						.style("left", event.pageX + 10 + "px")
-						.style("top", event.pageY - 10 + "px")
-						.style("background", "rgba(0, 0, 0, 0.9)")
-						.style("color", "white")
-						.style("padding", "12px")
-						.style("border-radius", "4px")
-						.style("font-size", "12px")
-						.style("pointer-events", "all")
-						.style("cursor", "move")
-						.style("z-index", "1001")
-						.style("box-shadow", "0 4px 6px rgba(0,0,0,0.3)").html(`
-                            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 4px;">
-                                <strong style="margin-right: 12px;">${countyName}</strong>
-                                <button class="close-tooltip" style="background: none; border: none; color: white; cursor: pointer; font-size: 16px; padding: 0; line-height: 1;">&times;</button>
-                            </div>
-                            Total Samples: ${countyStats.count}<br/>
-                            Pending: ${countyStats.pending}<br/>
-                            Positive: ${countyStats.positive}<br/>
-                            Negative: ${countyStats.negative}<br/>
-                            Unsuitable: ${countyStats.unsuitable}
-                        `);
+				togglePinned(countyClass, [event.pageX, event.pageY]);
+			})
+			.on("dblclick", function (event) {
+				event.preventDefault();
+				zoomToCounty(d3.select(this).attr("class"));
+			});
+
+		updatePinnedState();
+	};
+
+	// County mode: each county is colored by its own counts
+	const describeCounties = (countyData) => {
+		// Create a lookup map from county class to data
+		const dataByCounty = new Map(
+			countyData.map((d) => [normalizeCountyName(d.county), d])
+		);
+
+		countyOutlinesGroup.selectAll("path").classed("core-area-member", false);
+
+		return {
+			statsForCounty: (countyClass) => dataByCounty.get(countyClass),
+			describeCounty: (countyClass) => ({
+				title: classToDisplayName(countyClass),
+				stats: dataByCounty.get(countyClass),
+				details: "",
+				empty: "No CWD samples",
+			}),
+			note: "Grey counties contain no CWD data",
+		};
+	};
 
-					// Create connection line from county center to tooltip
-					const connectionLine = linesGroup
-						.append("line")
-						.attr("x1", centroid[0])
-						.attr("y1", centroid[1])
-						.attr("x2", centroid[0])
-						.attr("y2", centroid[1])
-						.attr("stroke", "rgba(0, 0, 0, 0.6)")
-						.attr("stroke-width", 2)
-						.attr("stroke-dasharray", "5,5")
-						.attr("stroke-linecap", "round")
-						.style("pointer-events", "none");
-
-					// Helper function to update line position based on tooltip location
-					const updateLine = () => {
-						const tooltipNode = stickyTooltip.node();
-						if (!tooltipNode) return;
-
-						const tooltipRect = tooltipNode.getBoundingClientRect();
-						const svgRect = svgNode.getBoundingClientRect();
-
-						// Calculate tooltip center in page coordinates
-						const tooltipCenterX =
-							tooltipRect.left + tooltipRect.width / 2;
-						const tooltipCenterY =
-							tooltipRect.top + tooltipRect.height / 2;
-
-						// Convert tooltip center from page coordinates to SVG coordinates
-						const svgX =
-							((tooltipCenterX - svgRect.left) / svgRect.width) *
-							width;
-						const svgY =
-							((tooltipCenterY - svgRect.top) / svgRect.height) *
-							height;
-
-						// Update line endpoint to tooltip center
-						connectionLine.attr("x2", svgX).attr("y2", svgY);
+	// Core area mode: there is no core area geometry, so each county is
+	// colored by (and outlined as part of) the core area most of its samples
+	// come from
+	const describeCoreAreas = (coreAreaData) => {
+		const areaByCounty = new Map(); // countyClass -> { area, count }
+		coreAreaData.forEach((area) => {
+			area.counties.forEach(({ county, count }) => {
+				const countyClass = normalizeCountyName(county);
+				const current = areaByCounty.get(countyClass);
+				if (!current || count > current.count) {
+					areaByCounty.set(countyClass, { area, count });
+				}
+			});
+		});
+
+		const areaOf = (countyClass) => {
+			const entry = areaByCounty.get(countyClass);
+			return entry ? entry.area : null;
+		};
+
+		countyOutlinesGroup.selectAll("path").classed("core-area-member", false);
+		areaByCounty.forEach((entry, countyClass) => {
+			countyOutlinesGroup.select(`.${countyClass}`).classed("core-area-member", true);
+		});
+
+		return {
+			statsForCounty: areaOf,
+			describeCounty: (countyClass) => {
+				const area = areaOf(countyClass);
+				if (!area) {
+					return {
+						title: classToDisplayName(countyClass),
+						stats: null,
+						details: "",
+						empty: "Outside CWD core areas",
 					};
+				}
 
-					// Set initial line position
-					updateLine();
+				const counties = area.counties
+					.slice()
+					.sort((a, b) => b.count - a.count)
+					.map(({ county, count }) => `${county} (${count})`);
+				return {
+					title: `Core Area ${area.coreArea}`,
+					stats: area,
+					details: `<br/>Counties: ${counties.join(", ")}`,
+					empty: "",
+				};
+			},
+			note: "Counties are colored by the core area most of their samples come from; grey counties are outside core areas",
+		};
+	};
+
+	// County adjacency, computed from the county shapes the first time the
+	// zone mode is shown or the arrow keys are used
+	let adjacency = null;
+	let lastZone = new Map(); // countyClass -> neighbors from a positive county
+
+	const getAdjacency = () => {
+		if (!adjacency) {
+			adjacency = adjacencyFromOutlines(
+				new Map(
+					countyFillsGroup
+						.selectAll("path")
+						.nodes()
+						.map((node) => [node.getAttribute("class"), sampleOutline(node)])
+				)
+			);
+		}
+		return adjacency;
+	};
+
+	// Symbols and class numbers keep their size on screen when zooming in
+	const updateSymbolScale = () => {
+		zoomLayer
+			.selectAll("g.county-symbol, g.county-label")
+			.attr("transform", (d) => `translate(${d.x},${d.y}) scale(${1 / currentTransform.k})`);
+	};
+
+	// Class numbers (1 = first legend class) at the county centers.
+	// classOf(countyClass) returns the class index or null.
+	const renderClassNumbers = (classOf) => {
+		labelsGroup.selectAll("*").remove();
+		if (!showClassNumbers || !classOf) return;
+
+		const labels = countyFillsGroup
+			.selectAll("path")
+			.nodes()
+			.map((node) => {
+				const countyClass = node.getAttribute("class");
+				const index = classOf(countyClass);
+				const centroid = index == null ? null : getCountyCentroid(countyClass);
+				return centroid && { x: centroid[0], y: centroid[1], number: index + 1 };
+			})
+			.filter(Boolean);
 
-					// Add close button handler
-					stickyTooltip
-						.select(".close-tooltip")
-						.on("click", function (e) {
-							e.stopPropagation();
-							stickyTooltip.remove();
-							connectionLine.remove();
-							countyElement
-								.classed("county-highlighted", false)
-								.attr("stroke", "#fff")
-								.attr("stroke-width", 1);
-							stickyTooltips.delete(countyClass);
-						});
-
-					// Make tooltip draggable
-					let offsetX, offsetY;
-					const drag = d3
-						.drag()
-						.on("start", function (event) {
-							isDragging = true;
-							tooltip.style("visibility", "hidden");
-
-							// Calculate offset from where user clicked to tooltip position
-							const element = d3.select(this);
-							const currentLeft =
-								parseInt(element.style("left")) || 0;
-							const currentTop =
-								parseInt(element.style("top")) || 0;
-							offsetX = event.x - currentLeft;
-							offsetY = event.y - currentTop;
-
-							element.style("cursor", "move");
-						})
-						.on("drag", function (event) {
-							d3.select(this)
-								.style("left", event.x - offsetX + "px")
-								.style("top", event.y - offsetY + "px")
-								.style("cursor", "move");
-
-							updateLine();
-						})
-						.on("end", function () {
-							isDragging = false;
-							d3.select(this).style("cursor", "move");
-						});
-
-					stickyTooltip.call(drag);
-					stickyTooltips.set(countyClass, {
-						tooltip: stickyTooltip,
-						line: connectionLine,
-						county: countyElement,
+		labelsGroup
+			.selectAll("g.county-label")
+			.data(labels)
+			.enter()
+			.append("g")
+			.attr("class", "county-label")
+			.append("text")
+			.attr("text-anchor", "middle")
+			.attr("dy", "0.35em")
+			.attr("font-size", 11)
+			.attr("font-weight", "bold")
+			.attr("fill", "#000")
+			.attr("stroke", "#fff")
+			.attr("stroke-width", 3)
+			.attr("paint-order", "stroke")
+			.text((d) => d.number);
+		updateSymbolScale();
+	};
+
+	// Legend note about grey counties (or sections)
+	const appendLegendNote = (legendContainer, note) => {
+		legendContainer
+			.append("div")
+			.style("font-size", "0.7rem")
+			.style("color", "#666")
+			.style("margin-top", "0.5rem")
+			.style("font-style", "italic")
+			.text(note);
+	};
+
+	// Bivariate mode: counties colored by samples class (tertiles of the
+	// counties with samples) and positives class (none, or below or above
+	// the median of the counties with positives)
+	const describeBivariate = (countyData) => {
+		const dataByCounty = new Map(
+			countyData.map((d) => [normalizeCountyName(d.county), d])
+		);
+		const sampled = countyData.filter((d) => d.count > 0);
+		const totals = sampled.map((d) => d.count).sort(d3.ascending);
+		const totalBreaks = [d3.quantileSorted(totals, 1 / 3) || 0, d3.quantileSorted(totals, 2 / 3) || 0];
+		const positiveBreak = d3.median(sampled.filter((d) => d.positive > 0), (d) => d.positive) || 0;
+
+		const totalClass = (count) => (count <= totalBreaks[0] ? 0 : count <= totalBreaks[1] ? 1 : 2);
+		const positiveClass = (positive) => (positive === 0 ? 0 : positive <= positiveBreak ? 1 : 2);
+		const classesOf = (stats) => [positiveClass(stats.positive), totalClass(stats.count)];
+
+		const counts = BIVARIATE_COLORS.map((row) => row.map(() => 0));
+		sampled.forEach((stats) => {
+			const [row, column] = classesOf(stats);
+			counts[row][column]++;
+		});
+
+		const formatCount = d3.format(",.0f");
+		const totalLabels = [
+			`≤ ${formatCount(totalBreaks[0])}`,
+			`≤ ${formatCount(totalBreaks[1])}`,
+			`> ${formatCount(totalBreaks[1])}`,
+		];
+		const positiveLabels = ["none", `1–${formatCount(positiveBreak)}`, `> ${formatCount(positiveBreak)}`];
+
+		// Legend cells, rows from most positives at the top
+		const cells = [2, 1, 0].flatMap((row) =>
+			[0, 1, 2].map((column) => ({
+				color: BIVARIATE_COLORS[row][column],
+				label: `Samples ${totalLabels[column]}, positives ${positiveLabels[row]}`,
+				count: counts[row][column],
+			}))
+		);
+
+		countyOutlinesGroup.selectAll("path").classed("core-area-member", false);
+
+		return {
+			statsForCounty: (countyClass) => dataByCounty.get(countyClass),
+			fill: (countyClass) => {
+				const stats = dataByCounty.get(countyClass);
+				if (!stats || stats.count === 0) return "#fff";
+				const [row, column] = classesOf(stats);
+				return BIVARIATE_COLORS[row][column];
+			},
+			classes: cells,
+			classOf: (countyClass) => {
+				const stats = dataByCounty.get(countyClass);
+				if (!stats || stats.count === 0) return null;
+				const [row, column] = classesOf(stats);
+				return (2 - row) * 3 + column;
+			},
+			describeCounty: (countyClass) => {
+				const stats = dataByCounty.get(countyClass);
+				return {
+					title: classToDisplayName(countyClass),
+					stats,
+					details: stats
+						? `<br/>Samples ${totalLabels[totalClass(stats.count)]}, positives ${positiveLabels[positiveClass(stats.positive)]}`
+						: "",
+					empty: "No CWD samples",
+				};
+			},
+			note: "White counties contain no CWD data",
+			renderLegend(note) {
+				const legendContainer = d3.select("#map-legend");
+				legendContainer.html("");
+
+				lastLegend = {
+					title: "Samples × positives",
+					steps: cells.map((d, i) => ({
+						color: d.color,
+						range: d.label,
+						count: `${d.count} ${d.count === 1 ? "county" : "counties"}`,
+						number: i + 1,
+					})),
+					note,
+				};
+
+				legendContainer.append("div").attr("class", "map-legend-title").text(lastLegend.title);
+
+				const legend = legendContainer.append("div").attr("class", "bivariate-legend");
+				legend.append("div").attr("class", "bivariate-axis bivariate-axis-y").text("Positives ↑");
+				legend
+					.append("div")
+					.attr("class", "bivariate-grid")
+					.attr("role", "list")
+					.selectAll("div")
+					.data(lastLegend.steps)
+					.enter()
+					.append("div")
+					.attr("class", "bivariate-cell")
+					.attr("role", "listitem")
+					.attr("title", (d) => `${d.number}. ${d.range}: ${d.count}`)
+					.attr("aria-label", (d) => `Class ${d.number}: ${d.range}, ${d.count}`)
+					.style("background", (d) => d.color)
+					.each(function (d) {
+						const cell = d3.select(this);
+						cell.append("span").attr("class", "bivariate-cell-number").text(d.number);
+						cell.append("span").text(cells[d.number - 1].count);
 					});
-				}
+				legend.append("div").attr("class", "bivariate-axis bivariate-axis-x").text("Samples →");
+
+				legendContainer
+					.append("div")
+					.attr("class", "map-legend-breaks")
+					.text(`Samples ${totalLabels.join(" / ")}; positives ${positiveLabels.join(" / ")}`);
+				appendLegendNote(legendContainer, note);
+			},
+		};
+	};
+
+	// Circle mode: a pie at each county's center, sized (by area) by its
+	// samples and split by result
+	const describeCircles = (countyData) => {
+		const dataByCounty = new Map(
+			countyData.map((d) => [normalizeCountyName(d.county), d])
+		);
+		const maxCount = d3.max(countyData, (d) => d.count) || 0;
+		const radius = d3.scaleSqrt().domain([0, maxCount || 1]).range([0, 28]);
+		const arc = d3.arc().innerRadius(0);
+		const pie = d3.pie().sort(null).value((d) => d.count);
+		const resultCounts = (stats) => [
+			{ result: "Positive", count: stats.positive },
+			{ result: "Negative", count: stats.negative },
+			{ result: "Pending", count: stats.pending },
+			{ result: "Unfit", count: stats.unsuitable },
+		];
+
+		const symbols = countyData
+			.filter((d) => d.count > 0)
+			.map((stats) => {
+				const centroid = getCountyCentroid(normalizeCountyName(stats.county));
+				return centroid && { stats, x: centroid[0], y: centroid[1], r: radius(stats.count) };
+			})
+			.filter(Boolean)
+			.sort((a, b) => b.r - a.r); // Small symbols on top of large ones
+
+		symbolsGroup.selectAll("*").remove();
+		const groups = symbolsGroup
+			.selectAll("g.county-symbol")
+			.data(symbols)
+			.enter()
+			.append("g")
+			.attr("class", "county-symbol");
+		groups
+			.selectAll("path")
+			.data((d) => pie(resultCounts(d.stats)).map((slice) => ({ slice, r: d.r })))
+			.enter()
+			.append("path")
+			.attr("d", (d) => arc.outerRadius(d.r)(d.slice))
+			.attr("fill", (d) => RESULT_COLORS[d.slice.data.result]);
+		groups
+			.append("circle")
+			.attr("r", (d) => d.r)
+			.attr("fill", "none")
+			.attr("stroke", "#fff")
+			.attr("stroke-width", 1);
+		updateSymbolScale();
+
+		countyOutlinesGroup.selectAll("path").classed("core-area-member", false);
+
+		const totals = {
+			Positive: d3.sum(countyData, (d) => d.positive),
+			Negative: d3.sum(countyData, (d) => d.negative),
+			Pending: d3.sum(countyData, (d) => d.pending),
+			Unfit: d3.sum(countyData, (d) => d.unsuitable),
+		};
+
+		return {
+			statsForCounty: (countyClass) => dataByCounty.get(countyClass),
+			fill: (countyClass) => (dataByCounty.has(countyClass) ? "#f7f7f7" : "#e0e0e0"),
+			describeCounty: (countyClass) => ({
+				title: classToDisplayName(countyClass),
+				stats: dataByCounty.get(countyClass),
+				details: "",
+				empty: "No CWD samples",
+			}),
+			note: "Circle area is proportional to the county's samples; grey counties contain no CWD data",
+			renderLegend(note) {
+				mapAPI.updateLegend(
+					RESULT_ORDER.map((result) => ({ label: result, color: RESULT_COLORS[result], count: totals[result] })),
+					["sample", "samples"],
+					note,
+					`Samples by result (largest circle: ${maxCount.toLocaleString()})`,
+					false
+				);
+
+				// Size key: the largest circle and one a quarter of its samples
+				const sizes = maxCount > 0 ? [maxCount, Math.round(maxCount / 4)].filter((n) => n > 0) : [];
+				const size = 2 * radius.range()[1] + 4;
+				const key = d3
+					.select("#map-legend")
+					.insert("svg", ".map-legend-steps")
+					.attr("class", "map-legend-sizes")
+					.attr("width", size + 60)
+					.attr("height", size);
+				sizes.forEach((count) => {
+					const r = radius(count);
+					key.append("circle")
+						.attr("cx", size / 2)
+						.attr("cy", size - 2 - r)
+						.attr("r", r)
+						.attr("fill", "none")
+						.attr("stroke", "#666");
+					key.append("text")
+						.attr("x", size + 4)
+						.attr("y", size - 2 - 2 * r + 4)
+						.attr("font-size", 10)
+						.attr("fill", "#666")
+						.text(count.toLocaleString());
+				});
+			},
+		};
+	};
+
+	// Zone mode: counties with a positive result and those within
+	// zoneDistance neighbors of one, colored by how far they are from one
+	const describeZones = (countyData) => {
+		const dataByCounty = new Map(
+			countyData.map((d) => [normalizeCountyName(d.county), d])
+		);
+		const positives = countyData
+			.filter((d) => d.positive > 0)
+			.map((d) => normalizeCountyName(d.county));
+		lastZone = neighborsWithin(getAdjacency(), positives, zoneDistance);
+
+		countyOutlinesGroup.selectAll("path").classed("core-area-member", false);
+
+		const interpolator = paletteInterpolator(palette, d3.interpolateReds);
+		const zoneColor = (steps) => interpolator(0.85 - (0.6 * steps) / zoneDistance);
+		const describeSteps = (steps) =>
+			steps === 0
+				? "County with a positive"
+				: `${steps} ${steps === 1 ? "county" : "counties"} from a positive`;
+		const zoneCounts = d3.rollup(lastZone, (v) => v.length, ([, steps]) => steps);
+
+		return {
+			statsForCounty: (countyClass) => dataByCounty.get(countyClass),
+			fill: (countyClass) =>
+				lastZone.has(countyClass) ? zoneColor(lastZone.get(countyClass)) : "#e0e0e0",
+			classes: d3.range(zoneDistance + 1).map((steps) => ({
+				label: describeSteps(steps),
+				color: zoneColor(steps),
+				count: zoneCounts.get(steps) || 0,
+			})),
+			classOf: (countyClass) => (lastZone.has(countyClass) ? lastZone.get(countyClass) : null),
+			legendTitle: `Within ${zoneDistance} ${zoneDistance === 1 ? "county" : "counties"} of a positive`,
+			describeCounty: (countyClass) => {
+				const steps = lastZone.get(countyClass);
+				const zoneText = steps == null ? "Outside the zone" : `Zone: ${describeSteps(steps).toLowerCase()}`;
+				return {
+					title: classToDisplayName(countyClass),
+					stats: dataByCounty.get(countyClass),
+					details: `<br/>${zoneText}`,
+					empty: `No CWD samples<br/>${zoneText}`,
+				};
+			},
+			note: positives.length > 0
+				? "Grey counties are outside the zone. Neighbors are computed from the county shapes"
+				: "No county has a positive result for the current filters",
+		};
+	};
+
+	// Counties as a table with their legend class, mapped value and counts,
+	// an alternative to reading the map's colors. Drawn while shown.
+	const mapTable = d3.select("#map-table");
+	let lastTable = null;
+
+	const renderMapTable = () => {
+		mapTable.selectAll("*").remove();
+		if (!lastTable || mapTable.style("display") === "none") return;
+
+		const { countyData, describeCounty, classLabel, valueOf } = lastTable;
+		const countsByCounty = new Map(
+			countyData.map((d) => [normalizeCountyName(d.county), d])
+		);
+		const rows = countyFillsGroup
+			.selectAll("path")
+			.nodes()
+			.map((node) => node.getAttribute("class"))
+			.sort(d3.ascending)
+			.map((countyClass) => {
+				const name = classToDisplayName(countyClass);
+				const counts = countsByCounty.get(countyClass) || {};
+				const { title } = describeCounty(countyClass);
+				const value = valueOf ? valueOf(countyClass) : null;
+				const cells = [name, classLabel(countyClass) || "–"];
+				if (valueOf) cells.push(value == null ? "–" : title === name ? value : `${title}: ${value}`);
+				return cells.concat(
+					[counts.count, counts.positive, counts.negative, counts.pending, counts.unsuitable].map((n) =>
+						(n || 0).toLocaleString()
+					)
+				);
 			});
+
+		const table = mapTable.append("table").attr("class", "data-table quality-table");
+		table
+			.append("caption")
+			.text("Counties as colored on the map, with each county's own sample counts for the current filters");
+		table
+			.append("thead")
+			.append("tr")
+			.selectAll("th")
+			.data([
+				"County",
+				"Map class",
+				...(valueOf ? ["Mapped value"] : []),
+				"Samples",
+				"Positive",
+				"Negative",
+				"Pending",
+				"Unfit",
+			])
+			.enter()
+			.append("th")
+			.attr("scope", "col")
+			.text((d) => d);
+
+		const tableRows = table.append("tbody").selectAll("tr").data(rows).enter().append("tr");
+		tableRows
+			.append("th")
+			.attr("scope", "row")
+			.text((cells) => cells[0]);
+		tableRows
+			.selectAll("td")
+			.data((cells) => cells.slice(1))
+			.enter()
+			.append("td")
+			.text((value) => value);
 	};
 
+	d3.select("#toggle-map-table").on("click", function () {
+		const isVisible = mapTable.style("display") !== "none";
+
+		mapTable.style("display", isVisible ? "none" : "block");
+		d3.select(this)
+			.text(isVisible ? "Show Map as Table" : "Hide Table")
+			.attr("aria-expanded", !isVisible);
+		renderMapTable();
+	});
+
 	const mapAPI = {
-		update(data) {
-			const countyData = groupByCounty(data);
+		// Draw from per-county counts (the output of groupByCounty() or
+		// groupSummaryByCounty()), per-section counts (groupBySection(),
+		// empty in fast-start mode) and per-core-area counts (groupByCoreArea()
+		// or groupSummaryByCoreArea())
+		render(countyData, sectionData = [], coreAreaData = []) {
+			lastCountyData = countyData;
+			lastSectionData = sectionData;
+			lastCoreAreaData = coreAreaData;
 
-			// Create a lookup map from county class to data
-			const dataByCounty = new Map(
-				countyData.map((d) => [normalizeCountyName(d.county), d])
-			);
+			const describers = {
+				coreAreas: () => describeCoreAreas(coreAreaData),
+				zones: () => describeZones(countyData),
+				bivariate: () => describeBivariate(countyData),
+				circles: () => describeCircles(countyData),
+			};
+			const description = (describers[mapMode] || (() => describeCounties(countyData)))();
+			const { statsForCounty, describeCounty, note } = description;
+			if (mapMode !== "zones") lastZone = new Map();
+			if (mapMode !== "circles") symbolsGroup.selectAll("*").remove();
 
-			// Get the current color scale and max value for selected metric
-			const currentColorScale = colorScales[selectedMetric];
-
-			// Determine max value based on selected metric
-			let maxValue = 0;
-			switch (selectedMetric) {
-				case "total":
-					maxValue = d3.max(countyData, (d) => d.count) || 0;
-					break;
-				case "positive":
-					maxValue = d3.max(countyData, (d) => d.positive) || 0;
-					break;
-				case "notDetected":
-					maxValue = d3.max(countyData, (d) => d.negative) || 0;
-					break;
-				case "pending":
-					maxValue = d3.max(countyData, (d) => d.pending) || 0;
-					break;
-				case "unsuitable":
-					maxValue = d3.max(countyData, (d) => d.unsuitable) || 0;
-					break;
+			// The zone, bivariate and circle modes have colors of their own;
+			// otherwise classes are made
+			// from the counties on the map, so in core area mode each county
+			// counts once with its core area's value
+			let { fill, classes, classOf } = description;
+			if (!fill) {
+				const countyClasses = countyFillsGroup
+					.selectAll("path")
+					.nodes()
+					.map((node) => node.getAttribute("class"));
+				const classified = classifyStats(countyClasses.map(statsForCounty));
+				classes = classified.classes;
+				fill = (countyClass) => metricFill(statsForCounty(countyClass), classified.color, "#e0e0e0");
+				classOf = (countyClass) => {
+					const stats = statsForCounty(countyClass);
+					const value = stats && stats.count > 0 ? scaleValue(stats) : null;
+					return value == null ? null : classIndex(classes, value);
+				};
 			}
 
-			currentColorScale.domain([0, maxValue]);
-
-			// Update county fill colors
+			// Update county fill colors (gray for counties with no data)
 			countyFillsGroup.selectAll("path").attr("fill", function () {
-				const countyClass = d3.select(this).attr("class");
-				const countyStats = dataByCounty.get(countyClass);
-
-				if (countyStats && countyStats.count > 0) {
-					// Get the value for the selected metric
-					let value = 0;
-					switch (selectedMetric) {
-						case "total":
-							value = countyStats.count;
-							break;
-						case "positive":
-							value = countyStats.positive;
-							break;
-						case "notDetected":
-							value = countyStats.negative;
-							break;
-						case "pending":
-							value = countyStats.pending;
-							break;
-						case "unsuitable":
-							value = countyStats.unsuitable;
-							break;
-					}
-
-					return currentColorScale(value);
-				}
-				return "#e0e0e0"; // Default gray for counties with no data
+				return fill(d3.select(this).attr("class"));
 			});
 
+			// The county's legend class in words
+			const classLabel = (countyClass) => {
+				const index = classOf ? classOf(countyClass) : null;
+				return index == null ? null : `Class ${index + 1} of ${classes.length}: ${classText(classes[index])}`;
+			};
+
 			// Setup interactions
-			setupCountyInteractions(dataByCounty);
+			setupCountyInteractions(describeCounty, classLabel);
 
-			// Update legend
-			this.updateLegend(maxValue, currentColorScale);
+			// Value of the selected metric, when the colors show it
+			const valueOf = description.fill
+				? null
+				: (countyClass) => {
+						const stats = statsForCounty(countyClass);
+						if (!stats || stats.count === 0) return null;
+						const value = metricValue(stats);
+						if (value == null) return null;
+						return `${formatValue(value)}${isLowN(stats) ? " (too few tested)" : ""}`;
+					};
+			lastTable = { countyData, describeCounty, classLabel, valueOf };
+			renderMapTable();
+
+			// Update legend (for the sections when zoomed into a county that
+			// has section geometry)
+			const sectionsShown = renderSections();
+			renderClassNumbers(sectionsShown ? null : classOf);
+			if (!sectionsShown) {
+				const sectionNote =
+					zoomedCounty && sectionGeometryPromise && !sectionGeometry
+						? `${note}. PLSS section geometry is not available`
+						: note;
+				// Notes about the metric only apply to the metric colors
+				const fullNote = description.fill ? sectionNote : legendNote(sectionNote);
+				if (description.renderLegend) {
+					description.renderLegend(fullNote);
+				} else {
+					this.updateLegend(classes, ["county", "counties"], fullNote, description.legendTitle);
+				}
+			}
 		},
 
-		updateLegend(maxValue, colorScale) {
+		// Stepped legend: one row per class with its number, color, range and
+		// the number of counties (or sections) in it
+		// Classes may have a label instead of a range (zone mode)
+		updateLegend(
+			classes,
+			[one, many] = ["county", "counties"],
+			note = "Grey counties contain no CWD data",
+			title = `${CLASSIFICATIONS[classification].label} classes`,
+			numbered = true
+		) {
 			const legendContainer = d3.select("#map-legend");
 			legendContainer.html("");
 
-			// Create gradient container
-			const gradientContainer = legendContainer
+			lastLegend = {
+				title,
+				steps: classes.map((d, i) => ({
+					color: d.color,
+					range: classText(d),
+					count: `${d.count} ${d.count === 1 ? one : many}`,
+					number: numbered ? i + 1 : null,
+				})),
+				note,
+			};
+
+			legendContainer
 				.append("div")
-				.attr("class", "map-legend-gradient");
+				.attr("class", "map-legend-title")
+				.text(lastLegend.title);
 
-			// Min label
-			gradientContainer
-				.append("span")
-				.attr("class", "map-legend-label")
-				.text("0");
+			if (classes.length === 0) {
+				legendContainer
+					.append("div")
+					.attr("class", "map-legend-empty")
+					.text("No values to classify");
+			}
 
-			// Gradient bar
-			gradientContainer
-				.append("div")
-				.attr("class", "map-legend-bar")
-				.style(
-					"background",
-					`linear-gradient(to right, ${colorScale(0)}, ${colorScale(
-						maxValue
-					)})`
-				);
+			const steps = legendContainer
+				.append("ul")
+				.attr("class", "map-legend-steps")
+				.selectAll("li")
+				.data(lastLegend.steps)
+				.enter()
+				.append("li")
+				.attr("class", "map-legend-step");
 
-			// Max label
-			gradientContainer
+			steps
+				.filter((d) => d.number)
+				.append("span")
+				.attr("class", "map-legend-number")
+				.text((d) => d.number);
+			steps
+				.append("span")
+				.attr("class", "map-legend-swatch")
+				.attr("aria-hidden", "true")
+				.style("background", (d) => d.color);
+			steps
+				.append("span")
+				.attr("class", "map-legend-range")
+				.text((d) => d.range);
+			steps
 				.append("span")
-				.attr("class", "map-legend-label")
-				.text(maxValue);
+				.attr("class", "map-legend-count")
+				.text((d) => d.count);
 
-			// Add note about grey counties
-			legendContainer
-				.append("div")
-				.style("font-size", "0.7rem")
-				.style("color", "#666")
-				.style("margin-top", "0.5rem")
-				.style("font-style", "italic")
-				.text("Grey counties contain no CWD data");
+			appendLegendNote(legendContainer, note);
+		},
+
+		// Draw each county's legend class number on the map
+		setClassNumbers(show) {
+			showClassNumbers = show;
+			this.render(lastCountyData, lastSectionData, lastCoreAreaData);
 		},
 
 		setMetric(metric) {
 			selectedMetric = metric;
-			if (window.dashboard && window.dashboard.filteredData) {
-				this.update(window.dashboard.filteredData);
-			}
+			this.render(lastCountyData, lastSectionData, lastCoreAreaData);
+		},
+
+		// One of the keys of CLASSIFICATIONS
+		setClassification(scheme) {
+			classification = scheme;
+			this.render(lastCountyData, lastSectionData, lastCoreAreaData);
+		},
+
+		// One of the keys of PALETTES
+		setPalette(name) {
+			palette = name;
+			this.render(lastCountyData, lastSectionData, lastCoreAreaData);
+		},
+
+		setDesignPrevalence(prevalence) {
+			designPrevalence = prevalence;
+			this.render(lastCountyData, lastSectionData, lastCoreAreaData);
+		},
+
+		// "counties", "coreAreas", "zones", "bivariate" or "circles"
+		setMode(mode) {
+			mapMode = mode;
+			this.render(lastCountyData, lastSectionData, lastCoreAreaData);
+		},
+
+		// Neighbors around positive counties included in the zone mode
+		setZoneDistance(distance) {
+			zoneDistance = distance;
+			this.render(lastCountyData, lastSectionData, lastCoreAreaData);
+		},
+
+		// Counties of the zone as last drawn, [{ countyClass, steps }] (empty
+		// outside the zone mode)
+		getZone() {
+			return Array.from(lastZone, ([countyClass, steps]) => ({ countyClass, steps }));
+		},
+
+		// Replace the selected counties (map class names), e.g. when a chip is
+		// removed. Does not call onSelectionChange.
+		setSelection(countyClasses) {
+			selectedCounties.clear();
+			countyClasses.forEach((countyClass) => selectedCounties.add(countyClass));
+			updateSelectionOutlines();
+		},
+
+		// Outline the counties matching the table's county search
+		setHighlightedCounties(countyClasses) {
+			countyOutlinesGroup.selectAll("path").classed("county-matched", false);
+			countyClasses.forEach((countyClass) => {
+				countyOutlinesGroup.select(`.${countyClass}`).classed("county-matched", true).raise();
+			});
+		},
+
+		// Zoom to a county and open its drill-down
+		zoomToCounty(countyName) {
+			zoomToCounty(normalizeCountyName(countyName));
+		},
+
+		resetZoom,
+
+		// The map's SVG, the legend as last drawn and the pinned tooltips,
+		// for exporting (see mapExport.js)
+		getExportState() {
+			return {
+				svgNode,
+				legend: lastLegend,
+				tooltips: Array.from(stickyTooltips.values(), ({ tooltip }) => tooltip.node()),
+			};
 		},
 	};
 
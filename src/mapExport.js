@@ -0,0 +1,332 @@
+import * as d3 from "d3";
+
+// Style properties copied from the page onto the exported map, which is
+// opened without the page's stylesheet
+const STYLE_PROPERTIES = [
+	"fill",
+	"fill-opacity",
+	"stroke",
+	"stroke-width",
+	"stroke-dasharray",
+	"stroke-linecap",
+	"stroke-linejoin",
+	"opacity",
+	"vector-effect",
+	"display",
+	"visibility",
+];
+
+const RESOLUTIONS = [1, 2, 3, 4];
+
+function inlineStyles(source, clone) {
+	const sourceElements = [source, ...source.querySelectorAll("*")];
+	const cloneElements = [clone, ...clone.querySelectorAll("*")];
+
+	sourceElements.forEach((element, i) => {
+		const computed = getComputedStyle(element);
+		cloneElements[i].setAttribute(
+			"style",
+			STYLE_PROPERTIES.map((property) => `${property}:${computed.getPropertyValue(property)}`).join(";")
+		);
+	});
+}
+
+// Split text into lines of at most maxChars characters at spaces
+function wrapText(text, maxChars) {
+	const lines = [];
+	let line = "";
+	text.split(/\s+/).forEach((word) => {
+		if (line && line.length + word.length + 1 > maxChars) {
+			lines.push(line);
+			line = word;
+		} else {
+			line = line ? `${line} ${word}` : word;
+		}
+	});
+	if (line) lines.push(line);
+	return lines;
+}
+
+// Pinned tooltips as boxes in map coordinates, clamped to the map
+function tooltipBoxes(svgNode, tooltips, mapWidth, mapHeight) {
+	const toMap = svgNode.getScreenCTM().inverse();
+	const scale = toMap.a;
+
+	return tooltips.map((tooltip) => {
+		const rect = tooltip.getBoundingClientRect();
+		const corner = svgNode.createSVGPoint();
+		corner.x = rect.left;
+		corner.y = rect.top;
+		const { x, y } = corner.matrixTransform(toMap);
+
+		// Text without the charts' labels; the close button is on the title
+		// line
+		const charts = tooltip.querySelector(".tooltip-charts");
+		if (charts) charts.style.display = "none";
+		const lines = tooltip.innerText
+			.split("\n")
+			.map((line) => line.trim())
+			.filter((line) => line && line !== "×");
+		if (charts) charts.style.display = "";
+
+		const fontSize = 12 * scale;
+		const padding = 12 * scale;
+		const width = rect.width * scale;
+
+		// Charts below the text, at their size in the tooltip
+		let bottom = padding + lines.length * fontSize * 1.4;
+		const chartImages = charts
+			? Array.from(charts.querySelectorAll("svg"), (chart) => {
+					const chartRect = chart.getBoundingClientRect();
+					const image = chart.cloneNode(true);
+					inlineStyles(chart, image);
+					const y = bottom + 6 * scale;
+					bottom = y + chartRect.height * scale;
+					return { image, y, width: chartRect.width * scale, height: chartRect.height * scale };
+				})
+			: [];
+		const height = bottom + padding;
+
+		return {
+			x: Math.max(0, Math.min(x, mapWidth - width)),
+			y: Math.max(0, Math.min(y, mapHeight - height)),
+			width,
+			height,
+			lines,
+			chartImages,
+			fontSize,
+			padding,
+		};
+	});
+}
+
+// Standalone SVG of the map with a title, details lines (filters, data
+// timestamp), the legend and optionally the pinned tooltips. state is
+// map.getExportState().
+export function buildMapSvg({ svgNode, legend, tooltips }, { title, details = [], includeTooltips = false }) {
+	const [, , mapWidth, mapHeight] = svgNode.getAttribute("viewBox").split(" ").map(Number);
+	const margin = 20;
+	const width = mapWidth + 2 * margin;
+
+	const root = d3.create("svg").attr("font-family", "sans-serif");
+	const background = root.append("rect").attr("fill", "#fff").attr("width", width);
+
+	// Title and details
+	let y = margin + 24;
+	root.append("text").attr("x", margin).attr("y", y).attr("font-size", 24).attr("font-weight", "bold").text(title);
+	y += 8;
+	details.forEach((line) => {
+		y += 18;
+		root.append("text").attr("x", margin).attr("y", y).attr("font-size", 14).attr("fill", "#444").text(line);
+	});
+	y += 16;
+
+	// The map as currently shown (pan, zoom, highlights)
+	const map = svgNode.cloneNode(true);
+	inlineStyles(svgNode, map);
+	map.removeAttribute("id");
+	map.setAttribute("x", margin);
+	map.setAttribute("y", y);
+	map.setAttribute("width", mapWidth);
+	map.setAttribute("height", mapHeight);
+	if (!includeTooltips) {
+		map.querySelectorAll(".connection-lines").forEach((group) => group.remove());
+	}
+	root.node().appendChild(map);
+
+	if (includeTooltips) {
+		const boxes = root.append("g").attr("transform", `translate(${margin},${y})`);
+		tooltipBoxes(svgNode, tooltips, mapWidth, mapHeight).forEach((box) => {
+			const group = boxes.append("g").attr("transform", `translate(${box.x},${box.y})`);
+			group
+				.append("rect")
+				.attr("width", box.width)
+				.attr("height", box.height)
+				.attr("rx", 4 * (box.fontSize / 12))
+				.attr("fill", "rgba(0, 0, 0, 0.9)");
+			box.lines.forEach((line, i) => {
+				group
+					.append("text")
+					.attr("x", box.padding)
+					.attr("y", box.padding + box.fontSize * (1.4 * i + 1))
+					.attr("font-size", box.fontSize)
+					.attr("font-weight", i === 0 ? "bold" : null)
+					.attr("fill", "#fff")
+					.text(line);
+			});
+			box.chartImages.forEach(({ image, y, width, height }) => {
+				image.setAttribute("x", box.padding);
+				image.setAttribute("y", y);
+				image.setAttribute("width", width);
+				image.setAttribute("height", height);
+				group.node().appendChild(image);
+			});
+		});
+	}
+	y += mapHeight + 28;
+
+	// Legend
+	if (legend) {
+		root.append("text").attr("x", margin).attr("y", y).attr("font-size", 14).attr("font-weight", "bold").text(legend.title);
+		legend.steps.forEach((step) => {
+			y += 22;
+			root.append("rect")
+				.attr("x", margin)
+				.attr("y", y - 12)
+				.attr("width", 24)
+				.attr("height", 14)
+				.attr("fill", step.color)
+				.attr("stroke", "#333");
+			root.append("text")
+				.attr("x", margin + 34)
+				.attr("y", y)
+				.attr("font-size", 13)
+				.text(step.number ? `${step.number}. ${step.range}` : step.range);
+			root.append("text").attr("x", margin + 220).attr("y", y).attr("font-size", 13).attr("fill", "#666").text(step.count);
+		});
+		y += 8;
+		wrapText(legend.note, 130).forEach((line) => {
+			y += 16;
+			root.append("text")
+				.attr("x", margin)
+				.attr("y", y)
+				.attr("font-size", 12)
+				.attr("font-style", "italic")
+				.attr("fill", "#666")
+				.text(line);
+		});
+	}
+
+	const height = y + margin;
+	root.attr("width", width).attr("height", height).attr("viewBox", `0 0 ${width} ${height}`);
+	background.attr("height", height);
+
+	return {
+		svg: `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(root.node())}`,
+		width,
+		height,
+	};
+}
+
+// Draw the SVG onto a canvas scale times its size
+export function svgToPng({ svg, width, height }, scale) {
+	return new Promise((resolve, reject) => {
+		const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+		const image = new Image();
+
+		image.onload = () => {
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.round(width * scale);
+			canvas.height = Math.round(height * scale);
+			canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+			URL.revokeObjectURL(url);
+			canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not create the PNG"))), "image/png");
+		};
+		image.onerror = () => {
+			URL.revokeObjectURL(url);
+			reject(new Error("Could not draw the map"));
+		};
+		image.src = url;
+	});
+}
+
+export function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	// Revoking right after click() can cancel the download in some browsers
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export options: title, format, PNG resolution and whether to include the
+// pinned tooltips. getState() is map.getExportState(); getDetails() returns
+// { lines, filename } for the current filters.
+export function createExportPanel(selector, { getState, getDetails, defaultTitle }) {
+	const container = d3.select(selector);
+
+	// Set up panel toggle
+	d3.select("#toggle-export").on("click", function () {
+		const isVisible = container.style("display") !== "none";
+
+		container.style("display", isVisible ? "none" : "block");
+		d3.select(this).text(isVisible ? "Show Options" : "Hide Options");
+	});
+
+	const controls = container.append("div").attr("class", "audit-controls");
+
+	const titleInput = controls
+		.append("label")
+		.text("Title: ")
+		.append("input")
+		.attr("type", "text")
+		.attr("id", "export-title")
+		.attr("class", "export-title")
+		.property("value", defaultTitle);
+
+	const formatSelect = controls.append("label").text("Format: ").append("select").attr("id", "export-format");
+	formatSelect
+		.selectAll("option")
+		.data([
+			{ value: "png", label: "PNG" },
+			{ value: "svg", label: "SVG" },
+		])
+		.enter()
+		.append("option")
+		.attr("value", (d) => d.value)
+		.text((d) => d.label);
+
+	const resolutionSelect = controls
+		.append("label")
+		.text("Resolution: ")
+		.append("select")
+		.attr("id", "export-resolution");
+	resolutionSelect
+		.selectAll("option")
+		.data(RESOLUTIONS)
+		.enter()
+		.append("option")
+		.attr("value", (d) => d)
+		.text((d) => `${d}x`);
+	resolutionSelect.property("value", 2);
+
+	formatSelect.on("change", () => {
+		resolutionSelect.property("disabled", formatSelect.property("value") === "svg");
+	});
+
+	const tooltipsLabel = controls.append("label").attr("class", "audit-checkbox");
+	const tooltipsCheckbox = tooltipsLabel.append("input").attr("type", "checkbox").attr("id", "export-tooltips");
+	tooltipsLabel.append("span").text("Include pinned tooltips");
+
+	const downloadButton = controls.append("button").attr("class", "filter-toggle-btn").text("Download");
+	const status = container.append("p").attr("class", "quality-empty");
+
+	downloadButton.on("click", async () => {
+		const format = formatSelect.property("value");
+		downloadButton.property("disabled", true);
+		status.text("");
+		try {
+			const { lines, filename } = getDetails();
+			const image = buildMapSvg(getState(), {
+				title: titleInput.property("value"),
+				details: lines,
+				includeTooltips: tooltipsCheckbox.property("checked"),
+			});
+
+			if (format === "svg") {
+				downloadBlob(new Blob([image.svg], { type: "image/svg+xml" }), `${filename}.svg`);
+			} else {
+				const scale = Number(resolutionSelect.property("value"));
+				downloadBlob(await svgToPng(image, scale), `${filename}.png`);
+			}
+		} catch (error) {
+			console.error("Error exporting map:", error);
+			status.text(`Export failed: ${error.message}`);
+		} finally {
+			downloadButton.property("disabled", false);
+		}
+	});
+}
@@ -0,0 +1,121 @@
+import { isFutureYear } from './data.js';
+
+// Data quality report over processed records (before year filtering and
+// deduplication), listing what processing maps to 'Unknown' or drops.
+
+const EXAMPLE_LIMIT = 5;
+
+const KNOWN_RESULTS = ['Pending', 'Positive', 'Negative', 'Unfit'];
+const KNOWN_SAMPLE_TYPES = ['RPLN', 'OBEX', 'LymphRef'];
+
+// Coded fields checked for values that have no display label
+const CODED_FIELDS = [
+    {
+        field: 'Collection_Type',
+        value: d => d.collectionType,
+        isUnmapped: d => d.collectionTypeName === 'Unknown'
+    },
+    {
+        field: 'SampleType',
+        value: d => d.sampleType,
+        // Missing values are counted by the missing-sample-type check
+        isUnmapped: d => !!d.sampleType && !KNOWN_SAMPLE_TYPES.includes(d.sampleType)
+    },
+    {
+        field: 'Deer_Sex',
+        value: d => d.deerSex,
+        isUnmapped: d => d.deerSexName === 'Unknown' && d.deerSex !== 'U'
+    },
+    {
+        field: 'Deer_Age',
+        value: d => d.deerAge,
+        isUnmapped: d => d.deerAgeName === 'Unknown' && d.deerAge !== 'U'
+    },
+    {
+        field: 'RESULT',
+        value: d => d.result,
+        isUnmapped: d => !KNOWN_RESULTS.includes(d.result)
+    }
+];
+
+// Record-level problems. Dropped rows never reach the map, stats or table.
+// An effect can depend on the deduplication policy.
+const RECORD_CHECKS = [
+    {
+        id: 'missing-date',
+        label: 'Missing collection and harvest date',
+        effect: 'kept, excluded by date filters',
+        test: d => !d.collectionDate && !d.harvestDate
+    },
+    {
+        id: 'missing-county',
+        label: 'Missing county',
+        effect: 'kept, not shown on the map',
+        test: d => !d.countyName
+    },
+    {
+        id: 'missing-sample-type',
+        label: 'Missing SampleType',
+        effect: 'kept',
+        test: d => !d.sampleType
+    },
+    {
+        id: 'missing-gislabel',
+        label: 'Missing GISlabel (township/range/section)',
+        effect: 'kept',
+        test: d => !d.gisLabel
+    },
+    {
+        id: 'future-year',
+        label: 'PERMITYEAR after the current year',
+        effect: 'dropped',
+        test: d => isFutureYear(d)
+    },
+    {
+        id: 'missing-specimen',
+        label: 'No Specimen_No',
+        effect: policy => (policy.keepWithoutSpecimen ? 'kept' : 'dropped by deduplication'),
+        test: d => !d.specimenNo
+    }
+];
+
+export function buildQualityReport(records, policy) {
+    const unmapped = CODED_FIELDS.flatMap(({ field, value, isUnmapped }) => {
+        const byValue = new Map();
+
+        records.forEach(d => {
+            if (!isUnmapped(d)) return;
+
+            const code = value(d);
+            const key = code === '' ? "''" : String(code);
+            if (!byValue.has(key)) {
+                byValue.set(key, { field, code: key, count: 0, examples: [] });
+            }
+
+            const entry = byValue.get(key);
+            entry.count++;
+            if (entry.examples.length < EXAMPLE_LIMIT) {
+                entry.examples.push(d);
+            }
+        });
+
+        return Array.from(byValue.values()).sort((a, b) => b.count - a.count);
+    });
+
+    const issues = RECORD_CHECKS.map(({ id, label, effect, test }) => {
+        const matching = records.filter(test);
+        return {
+            id,
+            label,
+            effect: typeof effect === 'function' ? effect(policy) : effect,
+            count: matching.length,
+            examples: matching.slice(0, EXAMPLE_LIMIT)
+        };
+    });
+
+    return {
+        totalRecords: records.length,
+        unmapped,
+        issues
+    };
+}
@@ -0,0 +1,133 @@
+import * as d3 from "d3";
+
+export function createQualityPanel(selector) {
+	const container = d3.select(selector);
+
+	// Fields shown for example records
+	const exampleColumns = [
+		{ key: "objectId", label: "OBJECTID" },
+		{ key: "specimenNo", label: "Specimen" },
+		{ key: "permitYear", label: "Year" },
+		{ key: "countyName", label: "County" },
+		{ key: "result", label: "Result" },
+		{ key: "collectionType", label: "Collection_Type" },
+		{ key: "sampleType", label: "SampleType" },
+		{ key: "deerSex", label: "Deer_Sex" },
+		{ key: "deerAge", label: "Deer_Age" },
+		{ key: "gisLabel", label: "GISlabel" },
+	];
+
+	// Set up panel toggle
+	d3.select("#toggle-quality").on("click", function () {
+		const isVisible = container.style("display") !== "none";
+
+		container.style("display", isVisible ? "none" : "block");
+		d3.select(this).text(isVisible ? "Show Report" : "Hide Report");
+	});
+
+	function renderExamples(cell, examples, count) {
+		if (examples.length === 0) {
+			cell.text("-");
+			return;
+		}
+
+		const details = cell.append("details");
+		details
+			.append("summary")
+			.text(
+				count > examples.length
+					? `First ${examples.length} of ${count.toLocaleString()}`
+					: `${examples.length} record${examples.length === 1 ? "" : "s"}`
+			);
+
+		const table = details.append("table").attr("class", "quality-examples");
+		table
+			.append("thead")
+			.append("tr")
+			.selectAll("th")
+			.data(exampleColumns)
+			.enter()
+			.append("th")
+			.text((d) => d.label);
+
+		table
+			.append("tbody")
+			.selectAll("tr")
+			.data(examples)
+			.enter()
+			.append("tr")
+			.selectAll("td")
+			.data((record) => exampleColumns.map((col) => record[col.key]))
+			.enter()
+			.append("td")
+			.text((value) => (value == null || value === "" ? "-" : value));
+	}
+
+	function renderSection(title, headers, rows, renderRow) {
+		container.append("h4").attr("class", "quality-section-title").text(title);
+
+		if (rows.length === 0) {
+			container
+				.append("p")
+				.attr("class", "quality-empty")
+				.text("None found");
+			return;
+		}
+
+		const table = container.append("table").attr("class", "data-table quality-table");
+		table
+			.append("thead")
+			.append("tr")
+			.selectAll("th")
+			.data(headers)
+			.enter()
+			.append("th")
+			.text((d) => d);
+
+		const tbody = table.append("tbody");
+		rows.forEach((row) => renderRow(tbody.append("tr"), row));
+	}
+
+	return {
+		update(report) {
+			container.selectAll("*").remove();
+
+			if (!report) {
+				container
+					.append("p")
+					.attr("class", "quality-empty")
+					.text("The report is available once sample records are loaded.");
+				return;
+			}
+
+			container
+				.append("p")
+				.attr("class", "quality-summary")
+				.text(`${report.totalRecords.toLocaleString()} raw records checked`);
+
+			renderSection(
+				"Unmapped codes",
+				["Field", "Value", "Count", "Examples"],
+				report.unmapped,
+				(tr, entry) => {
+					tr.append("td").text(entry.field);
+					tr.append("td").append("code").text(entry.code);
+					tr.append("td").text(entry.count.toLocaleString());
+					renderExamples(tr.append("td"), entry.examples, entry.count);
+				}
+			);
+
+			renderSection(
+				"Record issues",
+				["Issue", "Effect", "Count", "Examples"],
+				report.issues,
+				(tr, issue) => {
+					tr.append("td").text(issue.label);
+					tr.append("td").text(issue.effect);
+					tr.append("td").text(issue.count.toLocaleString());
+					renderExamples(tr.append("td"), issue.examples, issue.count);
+				}
+			);
+		},
+	};
+}
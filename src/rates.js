@@ -0,0 +1,61 @@
+// Surveillance statistics from per-area counts. Only samples with a final
+// Positive or Negative result count as tested; Pending and Unfit do not.
+//
+// The positivity rate comes with a Wilson score interval, which stays within
+// [0, 1] and behaves at small n and at 0 or 100%, unlike the normal
+// approximation.
+
+const Z_95 = 1.959964;
+
+export function wilsonInterval(successes, trials, z = Z_95) {
+    if (trials === 0) return null;
+
+    const p = successes / trials;
+    const z2 = z * z;
+    const denominator = 1 + z2 / trials;
+    const center = (p + z2 / (2 * trials)) / denominator;
+    const halfWidth = (z * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials))) / denominator;
+
+    return [Math.max(center - halfWidth, 0), Math.min(center + halfWidth, 1)];
+}
+
+// { tested, rate, lower, upper } for counts shaped like groupByCounty()
+// output. rate and the interval are null when nothing has been tested.
+export function positivityRate({ positive, negative }) {
+    const tested = positive + negative;
+    const interval = wilsonInterval(positive, tested);
+
+    return {
+        tested,
+        rate: tested > 0 ? positive / tested : null,
+        lower: interval ? interval[0] : null,
+        upper: interval ? interval[1] : null
+    };
+}
+
+// Probability that n tested samples include at least one positive if CWD is
+// present at the design prevalence (assumes a large population and a
+// perfect test): 1 - (1 - p)^n
+export function detectionProbability(tested, designPrevalence) {
+    return 1 - Math.pow(1 - designPrevalence, tested);
+}
+
+// Tested samples needed to detect CWD at the design prevalence with the
+// given confidence
+export function samplesForConfidence(designPrevalence, confidence = 0.95) {
+    return Math.ceil(Math.log(1 - confidence) / Math.log(1 - designPrevalence));
+}
+
+// { tested, probability, required, additional } for counts shaped like
+// groupByCounty() output
+export function surveillanceSufficiency({ positive, negative }, designPrevalence, confidence = 0.95) {
+    const tested = positive + negative;
+    const required = samplesForConfidence(designPrevalence, confidence);
+
+    return {
+        tested,
+        probability: detectionProbability(tested, designPrevalence),
+        required,
+        additional: Math.max(required - tested, 0)
+    };
+}
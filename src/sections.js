@@ -0,0 +1,62 @@
+// PLSS section geometry for the sub-county layer of the map. Sections are
+// bundled as SVG path data in the coordinate space of the county map
+// (index.html), since the county SVG has no geographic projection to place
+// longitude/latitude geometry with:
+//
+// {
+//     "viewBox": "0 0 1000 834",
+//     "sections": [
+//         { "label": "T23NR13WS08", "county": "Jasper", "d": "M412.1 690.3h2.9v2.9h-2.9Z" }
+//     ]
+// }
+//
+// label matches the records' GISlabel. county is the CountyName the section
+// is drawn in; a section split by a county line is listed once per county.
+
+// Returns the list of sections, or null when the asset is missing or unusable
+export async function loadSectionGeometry(url, viewBox) {
+    let response;
+
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        console.warn(`Failed to fetch PLSS section geometry from ${url}:`, error);
+        return null;
+    }
+
+    if (!response.ok) {
+        console.info(`No PLSS section geometry at ${url} (${response.status}); section layer disabled`);
+        return null;
+    }
+
+    // Dev servers answer missing files with the HTML page and a 200
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!contentType.includes('json')) {
+        console.info(`No PLSS section geometry at ${url} (got ${contentType || 'no content type'} instead of JSON); section layer disabled`);
+        return null;
+    }
+
+    let asset;
+
+    try {
+        asset = await response.json();
+    } catch (error) {
+        console.warn(`PLSS section geometry at ${url} is not valid JSON; section layer disabled:`, error);
+        return null;
+    }
+
+    if (!Array.isArray(asset.sections)) {
+        console.warn(`PLSS section geometry at ${url} has no sections array; section layer disabled`);
+        return null;
+    }
+
+    if (asset.viewBox && asset.viewBox !== viewBox) {
+        console.warn(`PLSS section geometry uses viewBox "${asset.viewBox}", the map uses "${viewBox}"; section layer disabled`);
+        return null;
+    }
+
+    const sections = asset.sections.filter(section => section.label && section.county && section.d);
+    console.log(`✓ Loaded ${sections.length} PLSS sections`);
+
+    return sections;
+}
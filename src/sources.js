@@ -0,0 +1,288 @@
+import { BatchFetchManager } from './data.js';
+
+// A data source returns raw ArcGIS attribute rows as { features, gaps,
+// countMismatch }, where gaps describes batches that could not be fetched (or
+// is null) and countMismatch is { expected, received } when the rows don't
+// add up to the server's record count (or null). ArcGIS sources can run
+// arbitrary where clauses, which is what the incremental cache refresh needs,
+// and server-side statistics queries used by the fast-start mode; file
+// sources always return everything and count statistics in the browser.
+// Both can return the layer definition
+// (fields with aliases and coded-value domains) via fetchLayerInfo().
+// Season sources combine one of those per permit year.
+
+export class ArcGISSource {
+    constructor(id, { label, layerUrl, batchSize = 2000, maxConcurrent = 4 }) {
+        this.id = id;
+        this.label = label;
+        this.layerUrl = layerUrl;
+        this.queryUrl = `${layerUrl}/query`;
+        this.batchSize = batchSize;
+        this.maxConcurrent = maxConcurrent;
+        this.supportsIncremental = true;
+        this.supportsStatistics = true;
+    }
+
+    async fetchRecords(where = '1=1', progressCallback = null) {
+        const manager = new BatchFetchManager(this.queryUrl, this.batchSize, this.maxConcurrent, where);
+        const features = await manager.fetchAllBatches(progressCallback);
+        return { features, gaps: describeGaps(manager), countMismatch: manager.countMismatch };
+    }
+
+    // Re-fetches offsets listed in a gaps description from an earlier run
+    async fetchGaps({ where, batchSize, offsets, missing }) {
+        const manager = new BatchFetchManager(this.queryUrl, batchSize, this.maxConcurrent, where);
+        const features = await manager.fetchOffsets(offsets);
+        const gaps = describeGaps(manager);
+
+        if (gaps) {
+            gaps.missing = Math.max(missing - features.length, 0);
+        }
+        return { features, gaps };
+    }
+
+    // Counts of records grouped by the given fields, computed by the server
+    async fetchStatistics(groupByFields, where = '1=1') {
+        const outStatistics = [{
+            statisticType: 'count',
+            onStatisticField: 'OBJECTID',
+            outStatisticFieldName: 'SampleCount'
+        }];
+        const params = new URLSearchParams({
+            f: 'json',
+            where,
+            groupByFieldsForStatistics: groupByFields.join(','),
+            outStatistics: JSON.stringify(outStatistics)
+        });
+
+        const response = await fetch(`${this.queryUrl}?${params}`);
+
+        if (!response.ok) {
+            throw new Error(`Statistics request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(`Statistics request failed: ${data.error.message}`);
+        }
+
+        return (data.features || []).map(feature => feature.attributes);
+    }
+
+    // Layer definition from the MapServer layer endpoint
+    async fetchLayerInfo() {
+        const response = await fetch(`${this.layerUrl}?f=json`);
+
+        if (!response.ok) {
+            throw new Error(`Layer info request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        if (data.error) {
+            throw new Error(`Layer info request failed: ${data.error.message}`);
+        }
+
+        return data;
+    }
+}
+
+export class FileSource {
+    constructor(id, { label, url }) {
+        this.id = id;
+        this.label = label;
+        this.url = url;
+        this.supportsIncremental = false;
+        this.supportsStatistics = true;
+        this.fields = null; // Field list of the last file read
+    }
+
+    async fetchRecords(where = '1=1', progressCallback = null) {
+        const response = await fetch(this.url);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load ${this.url}: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const features = (data.features || []).map(feature => feature.attributes);
+        this.fields = data.fields || [];
+
+        if (progressCallback) {
+            progressCallback({
+                loaded: features.length,
+                estimatedTotal: features.length,
+                percent: 100,
+                exact: true,
+                etaSeconds: 0
+            });
+        }
+
+        return { features, gaps: null, countMismatch: null };
+    }
+
+    // Counts of records grouped by the given fields, in the same shape as
+    // ArcGISSource.fetchStatistics() but counted from the whole file, so
+    // season registries with archived seasons can still start in fast mode
+    async fetchStatistics(groupByFields, where = '1=1') {
+        if (where !== '1=1') {
+            throw new Error(`File sources can't filter statistics (${where})`);
+        }
+
+        const { features } = await this.fetchRecords();
+        const groups = new Map();
+
+        features.forEach(row => {
+            const values = groupByFields.map(field => row[field] ?? null);
+            const key = JSON.stringify(values);
+            if (!groups.has(key)) {
+                groups.set(key, { ...Object.fromEntries(groupByFields.map((field, i) => [field, values[i]])), SampleCount: 0 });
+            }
+            groups.get(key).SampleCount++;
+        });
+
+        return Array.from(groups.values());
+    }
+
+    // ArcGIS JSON exports carry the field list (and domains, if exported
+    // with them) alongside the features
+    async fetchLayerInfo() {
+        if (!this.fields) {
+            const response = await fetch(this.url);
+
+            if (!response.ok) {
+                throw new Error(`Failed to load ${this.url}: ${response.status}`);
+            }
+
+            this.fields = (await response.json()).fields || [];
+        }
+
+        return { fields: this.fields };
+    }
+}
+
+// Fields a layer needs to be read as a season of sample records
+const SAMPLE_LAYER_FIELDS = ['PERMITYEAR', 'Specimen_No', 'RESULT'];
+
+// Season registry: each permit year (season) has its own source, either the
+// season's MapServer layer or an archived snapshot file. loadData() loads the
+// seasons one by one (each with its own cache) and combines them.
+//
+// With discover: { serviceUrl, batchSize }, the MapServer service is also
+// searched for sample layers of seasons the registry doesn't list (see
+// discoverSeasons()), so earlier seasons are picked up without knowing their
+// layer ids.
+export class SeasonSource {
+    constructor(id, { label, seasons, discover = null }) {
+        this.id = id;
+        this.label = label;
+        this.discover = discover;
+        this.discovered = null; // Promise of the seasons, once discovery ran
+        this.seasons = Object.entries(seasons).map(([year, seasonConfig]) => this.createSeason(year, seasonConfig));
+        this.sortSeasons();
+        this.supportsIncremental = false; // Seasons are cached individually
+        this.supportsStatistics = this.seasons.every(season => season.source.supportsStatistics);
+    }
+
+    createSeason(year, seasonConfig) {
+        return {
+            year,
+            source: createDataSource(`${this.id}-${year}`, { label: `${this.label} (${year})`, ...seasonConfig })
+        };
+    }
+
+    // Newest season first
+    sortSeasons() {
+        this.seasons.sort((a, b) => b.year.localeCompare(a.year));
+    }
+
+    // Adds a season for every layer of the discover service that has the
+    // sample fields and a permit year in its name (e.g. "CWD Samples 2023"),
+    // unless the registry already has that year or layer. Runs once; if the
+    // service can't be listed, the configured seasons are used.
+    discoverSeasons() {
+        if (!this.discover) {
+            return Promise.resolve(this.seasons);
+        }
+
+        if (!this.discovered) {
+            const { serviceUrl, batchSize } = this.discover;
+
+            this.discovered = fetchServiceLayers(serviceUrl)
+                .then(layers => {
+                    const knownUrls = new Set(this.seasons.map(season => season.source.layerUrl));
+
+                    layers.forEach(layer => {
+                        const fieldNames = (layer.fields || []).map(field => field.name);
+                        const year = (layer.name || '').match(/\b(?:19|20)\d{2}\b/);
+                        const layerUrl = `${serviceUrl}/${layer.id}`;
+
+                        if (!SAMPLE_LAYER_FIELDS.every(field => fieldNames.includes(field))) return;
+                        if (knownUrls.has(layerUrl)) return;
+                        if (!year) {
+                            console.info(`Sample layer "${layer.name}" (${layerUrl}) has no permit year in its name; not added as a season`);
+                            return;
+                        }
+                        if (this.seasons.some(season => season.year === year[0])) return;
+
+                        this.seasons.push(this.createSeason(year[0], { type: 'arcgis', layerUrl, batchSize }));
+                        console.log(`✓ Found the ${year[0]} season at ${layerUrl}`);
+                    });
+
+                    this.sortSeasons();
+                })
+                .catch(error => {
+                    console.warn(`Could not list the layers of ${serviceUrl}, using the configured seasons:`, error);
+                })
+                .then(() => this.seasons);
+        }
+
+        return this.discovered;
+    }
+
+    async fetchStatistics(groupByFields, where = '1=1') {
+        const seasons = await this.discoverSeasons();
+        const results = await Promise.all(
+            seasons.map(season => season.source.fetchStatistics(groupByFields, where))
+        );
+        return results.flat();
+    }
+}
+
+// Layer definitions (with fields) of every layer of a MapServer service
+async function fetchServiceLayers(serviceUrl) {
+    const response = await fetch(`${serviceUrl}/layers?f=json`);
+
+    if (!response.ok) {
+        throw new Error(`Layer list request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (data.error) {
+        throw new Error(`Layer list request failed: ${data.error.message}`);
+    }
+
+    return data.layers || [];
+}
+
+function describeGaps(manager) {
+    if (manager.failed.size === 0) return null;
+
+    return {
+        where: manager.where,
+        batchSize: manager.batchSize,
+        offsets: manager.getFailedOffsets(),
+        missing: manager.getMissingCount()
+    };
+}
+
+export function createDataSource(id, sourceConfig) {
+    switch (sourceConfig.type) {
+        case 'arcgis': return new ArcGISSource(id, sourceConfig);
+        case 'file': return new FileSource(id, sourceConfig);
+        case 'seasons': return new SeasonSource(id, sourceConfig);
+        default: throw new Error(`Unknown data source type "${sourceConfig.type}"`);
+    }
+}
@@ -1,4 +1,5 @@
 import * as d3 from 'd3';
+import { positivityRate, surveillanceSufficiency } from './rates.js';
 
 export function updateStats(data) {
     if (!data || !Array.isArray(data)) {
@@ -14,6 +15,39 @@ export function updateStats(data) {
     const negativeTests = publishedData.filter(d => d.result === 'Negative').length;
     const unsuitableTests = publishedData.filter(d => d.result === 'Unfit').length;
 
+    renderStats({ totalSamples, positiveTests, negativeTests, pendingTests, unsuitableTests });
+}
+
+// Same as updateStats() from server-side summary rows (see loadSummary())
+export function updateStatsFromSummary(summary) {
+    if (!summary || !Array.isArray(summary)) {
+        console.warn('Invalid summary provided to updateStatsFromSummary');
+        return;
+    }
+
+    const publishedRows = summary.filter(d => d.publish === true);
+    const countResult = (result) => d3.sum(publishedRows.filter(d => d.result === result), d => d.count);
+
+    renderStats({
+        totalSamples: d3.sum(publishedRows, d => d.count),
+        positiveTests: countResult('Positive'),
+        negativeTests: countResult('Negative'),
+        pendingTests: countResult('Pending'),
+        unsuitableTests: countResult('Unfit')
+    });
+}
+
+// Sampled counties whose tested samples reach the target confidence of
+// detecting CWD at the design prevalence
+export function updateDetectionStat(counties, designPrevalence, targetConfidence) {
+    const reached = counties.filter(county =>
+        surveillanceSufficiency(county, designPrevalence, targetConfidence).additional === 0
+    ).length;
+
+    d3.select('#detection-counties').text(counties.length > 0 ? `${reached}/${counties.length}` : '-');
+}
+
+function renderStats({ totalSamples, positiveTests, negativeTests, pendingTests, unsuitableTests }) {
     // Update stat cards with animation
     const stats = [
         { id: '#total-samples', value: totalSamples },
@@ -23,6 +57,10 @@ export function updateStats(data) {
         { id: '#unsuitable-tests', value: unsuitableTests }
     ];
 
+    // Positives among published samples with a final result
+    const { rate } = positivityRate({ positive: positiveTests, negative: negativeTests });
+    d3.select('#positivity-rate').text(rate == null ? '-' : d3.format('.1%')(rate));
+
     stats.forEach(stat => {
         d3.select(stat.id)
             .transition()
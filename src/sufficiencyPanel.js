@@ -0,0 +1,115 @@
+import * as d3 from "d3";
+import { surveillanceSufficiency, samplesForConfidence } from "./rates.js";
+
+// Highest design prevalence the control accepts, in percent
+const MAX_PREVALENCE = 50;
+
+export function createSufficiencyPanel(selector, { designPrevalence, targetConfidence, onPrevalenceChange }) {
+	const container = d3.select(selector);
+	const percent = d3.format(".0%");
+	let prevalence = designPrevalence;
+	let lastCounties = null;
+
+	// Set up panel toggle
+	d3.select("#toggle-sufficiency").on("click", function () {
+		const isVisible = container.style("display") !== "none";
+
+		container.style("display", isVisible ? "none" : "block");
+		d3.select(this).text(isVisible ? "Show Table" : "Hide Table");
+	});
+
+	// Design prevalence control
+	const controls = container.append("div").attr("class", "audit-controls");
+	const prevalenceLabel = controls.append("label").text("Design prevalence: ");
+	const prevalenceInput = prevalenceLabel
+		.append("input")
+		.attr("type", "number")
+		.attr("id", "design-prevalence")
+		.attr("min", 0.1)
+		.attr("max", MAX_PREVALENCE)
+		.attr("step", 0.1)
+		.property("value", prevalence * 100);
+	prevalenceLabel.append("span").text(" %");
+
+	prevalenceInput.on("change", function () {
+		const value = parseFloat(this.value);
+		if (!(value > 0 && value <= MAX_PREVALENCE)) {
+			this.value = prevalence * 100;
+			return;
+		}
+
+		prevalence = value / 100;
+		onPrevalenceChange(prevalence);
+		render();
+	});
+
+	const content = container.append("div");
+
+	function render() {
+		content.selectAll("*").remove();
+
+		if (!lastCounties) {
+			content
+				.append("p")
+				.attr("class", "quality-empty")
+				.text("The table is available once county counts are loaded.");
+			return;
+		}
+
+		const required = samplesForConfidence(prevalence, targetConfidence);
+		const rows = lastCounties
+			.map((county) => ({
+				county: county.county,
+				...surveillanceSufficiency(county, prevalence, targetConfidence),
+			}))
+			.sort((a, b) => a.probability - b.probability || d3.ascending(a.county, b.county));
+		const reached = rows.filter((row) => row.additional === 0).length;
+
+		content
+			.append("p")
+			.attr("class", "quality-summary")
+			.text(
+				`${required.toLocaleString()} tested samples (Positive or Negative) detect CWD at ` +
+					`${d3.format(".1~%")(prevalence)} prevalence with ${percent(targetConfidence)} confidence. ` +
+					`${reached} of ${rows.length} sampled counties reach that; counties without samples need all ${required.toLocaleString()}.`
+			);
+
+		if (rows.length === 0) return;
+
+		const table = content.append("table").attr("class", "data-table quality-table");
+		table
+			.append("thead")
+			.append("tr")
+			.selectAll("th")
+			.data(["County", "Tested", "Detection probability", "Additional samples needed"])
+			.enter()
+			.append("th")
+			.text((d) => d);
+
+		table
+			.append("tbody")
+			.selectAll("tr")
+			.data(rows)
+			.enter()
+			.append("tr")
+			.classed("sufficiency-reached", (row) => row.additional === 0)
+			.selectAll("td")
+			.data((row) => [
+				row.county,
+				row.tested.toLocaleString(),
+				percent(row.probability),
+				row.additional.toLocaleString(),
+			])
+			.enter()
+			.append("td")
+			.text((value) => value);
+	}
+
+	return {
+		// Per-county counts, as passed to the map
+		update(counties) {
+			lastCounties = counties;
+			render();
+		},
+	};
+}
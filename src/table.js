@@ -1,11 +1,21 @@
 import * as d3 from "d3";
 
-export function createTable(selector) {
+const PAGE_SIZES = [20, 50, 100, 250];
+
+// Rows drawn above and below the visible ones in the scrolling mode
+const SCROLL_OVERSCAN = 10;
+
+// onCountySearch(search) is called with the lowercased county search so the
+// map can highlight the matching counties
+export function createTable(selector, { onCountySearch = () => {} } = {}) {
 	const container = d3.select(selector);
 	let allData = [];
 	let filteredData = [];
 	let currentPage = 1;
-	const itemsPerPage = 20;
+	let itemsPerPage = PAGE_SIZES[0];
+	let viewMode = "paged"; // or "scroll": only the rows in view are drawn
+	let rowHeight = 37; // Measured from a drawn row
+	let scrollFrame = null;
 
 	// Filter state
 	const filters = {
@@ -20,6 +30,29 @@ export function createTable(selector) {
 		harvestDateEnd: null,
 	};
 
+	// Paged or scrolling rows, and the page size
+	const viewControls = container.append("div").attr("class", "table-view-controls audit-controls");
+	const modeSelect = viewControls.append("label").text("Rows: ").append("select").attr("id", "table-view-mode");
+	modeSelect
+		.selectAll("option")
+		.data([
+			{ value: "paged", label: "Pages" },
+			{ value: "scroll", label: "Scroll through all" },
+		])
+		.enter()
+		.append("option")
+		.attr("value", (d) => d.value)
+		.text((d) => d.label);
+	const pageSizeLabel = viewControls.append("label").text("Per page: ");
+	const pageSizeSelect = pageSizeLabel.append("select").attr("id", "table-page-size");
+	pageSizeSelect
+		.selectAll("option")
+		.data(PAGE_SIZES)
+		.enter()
+		.append("option")
+		.attr("value", (d) => d)
+		.text((d) => d);
+
 	// Create table structure
 	const tableContainer = container
 		.append("div")
@@ -46,22 +79,55 @@ export function createTable(selector) {
 		.append("div")
 		.attr("class", "pagination-container");
 
+	// field is the source layer field, whose alias replaces the label when
+	// the layer definition provides one (see setFieldAliases)
 	const columns = [
-		{ key: "specimenNo", label: "Specimen", width: "120px" },
-		{ key: "countyName", label: "County", width: "100px" },
+		{ key: "specimenNo", field: "Specimen_No", label: "Specimen", width: "120px" },
+		{ key: "countyName", field: "CountyName", label: "County", width: "100px" },
 		{
 			key: "harvestDate",
 			label: "Harvested",
 			width: "120px",
 			format: (value, row) => formatDate(value, row.collectionDate),
 		},
-		{ key: "result", label: "Result", width: "80px", format: formatResult },
-		{ key: "telecheckId", label: "Telecheck", width: "120px" },
-		{ key: "deerSexName", label: "Sex", width: "60px" },
-		{ key: "deerAgeName", label: "Age", width: "60px" },
-		{ key: "sampleType", label: "Sample", width: "100px" },
+		{ key: "result", field: "RESULT", label: "Result", width: "80px", format: formatResult },
+		{ key: "telecheckId", field: "TelecheckID", label: "Telecheck", width: "120px" },
+		{ key: "deerSexName", field: "Deer_Sex", label: "Sex", width: "60px" },
+		{ key: "deerAgeName", field: "Deer_Age", label: "Age", width: "60px" },
+		{ key: "sampleType", field: "SampleType", label: "Sample", width: "100px" },
 	];
 
+	// Fields offered by the export besides the table's columns (not selected
+	// by default)
+	const extraExportColumns = [
+		{ key: "collectionDate", field: "CollectionDate", label: "Collection date" },
+		{ key: "permitYear", field: "PERMITYEAR", label: "Permit year" },
+		{ key: "county", field: "County", label: "County code" },
+		{ key: "coreArea", field: "CoreArea", label: "Core area" },
+		{ key: "gisLabel", field: "GISlabel", label: "PLSS section" },
+	];
+	let fieldAliases = {};
+
+	// Column header: the layer field alias, or the column's label
+	const columnLabel = (d) => {
+		const alias = d.field && fieldAliases[d.field];
+		return alias && alias !== d.field ? alias : d.label;
+	};
+
+	// Spacer rows stand in for the rows above and below the drawn ones in
+	// the scrolling mode
+	const topSpacer = tbody.append("tr").attr("class", "table-spacer");
+	const bottomSpacer = tbody.append("tr").attr("class", "table-spacer table-spacer-bottom");
+	tbody.selectAll("tr.table-spacer").append("td").attr("colspan", columns.length);
+
+	// Rows are keyed by record, so rows that stay in view are kept
+	const rowKeys = new WeakMap();
+	let nextRowKey = 0;
+	const rowKey = (d) => {
+		if (!rowKeys.has(d)) rowKeys.set(d, ++nextRowKey);
+		return rowKeys.get(d);
+	};
+
 	// Create table header
 	const headerRow = thead.append("tr");
 	headerRow
@@ -88,9 +154,37 @@ export function createTable(selector) {
 		d3.select(this).text(isVisible ? "Show Filters" : "Hide Filters");
 	});
 
+	modeSelect.on("change", function () {
+		viewMode = this.value;
+		pageSizeLabel.style("display", viewMode === "paged" ? null : "none");
+		toFirstRow();
+		renderTable();
+		renderPagination();
+	});
+
+	// Keep the first row of the page in view when the page size changes
+	pageSizeSelect.on("change", function () {
+		const firstRow = (currentPage - 1) * itemsPerPage;
+		itemsPerPage = Number(this.value);
+		currentPage = Math.floor(firstRow / itemsPerPage) + 1;
+		tableContainer.property("scrollTop", 0);
+		renderTable();
+		renderPagination();
+	});
+
+	// Draw the rows scrolled into view, once per frame
+	tableContainer.on("scroll", () => {
+		if (viewMode !== "scroll" || scrollFrame) return;
+		scrollFrame = requestAnimationFrame(() => {
+			scrollFrame = null;
+			renderTable();
+		});
+	});
+
 	// Set up clear filters button
 	d3.select("#clear-filters").on("click", () => {
 		clearAllFilters();
+		onCountySearch("");
 		applyFilters();
 		renderTable();
 		renderPagination();
@@ -104,6 +198,7 @@ export function createTable(selector) {
 
 	d3.select("#filter-county-table").on("input", function () {
 		filters.county = this.value.toLowerCase();
+		onCountySearch(filters.county);
 		applyFiltersWithDebounce();
 	});
 
@@ -305,7 +400,13 @@ export function createTable(selector) {
 			return true;
 		});
 
+		sortData();
+		toFirstRow();
+	}
+
+	function toFirstRow() {
 		currentPage = 1;
+		tableContainer.property("scrollTop", 0);
 	}
 
 	function sortBy(key) {
@@ -327,10 +428,20 @@ export function createTable(selector) {
 			.filter((d) => d.key === key)
 			.classed(`sorted-${sortDirection}`, true);
 
-		// Sort data
+		sortData();
+		toFirstRow();
+		renderTable();
+		renderPagination();
+	}
+
+	// Sort the filtered rows by the current sort column, so they stay
+	// sorted when the filters change
+	function sortData() {
+		if (!sortKey) return;
+
 		filteredData.sort((a, b) => {
-			let aVal = a[key];
-			let bVal = b[key];
+			let aVal = a[sortKey];
+			let bVal = b[sortKey];
 
 			// Handle dates
 			if (aVal instanceof Date && bVal instanceof Date) {
@@ -353,101 +464,193 @@ export function createTable(selector) {
 			if (aVal > bVal) return sortDirection === "asc" ? 1 : -1;
 			return 0;
 		});
-
-		currentPage = 1;
-		renderTable();
-		renderPagination();
 	}
 
+	// Rows of the current page, or in the scrolling mode the rows in view
+	// (plus a few more) of all filtered rows with spacers for the others
 	function renderTable() {
-		const startIndex = (currentPage - 1) * itemsPerPage;
-		const endIndex = startIndex + itemsPerPage;
-		const pageData = filteredData.slice(startIndex, endIndex);
+		let start;
+		let end;
+		if (viewMode === "scroll") {
+			const node = tableContainer.node();
+			const headerHeight = thead.node().getBoundingClientRect().height;
+			const visibleRows = Math.ceil((node.clientHeight || 400) / rowHeight);
+			start = Math.max(0, Math.floor((node.scrollTop - headerHeight) / rowHeight) - SCROLL_OVERSCAN);
+			end = Math.min(filteredData.length, start + visibleRows + 2 * SCROLL_OVERSCAN);
+		} else {
+			start = (currentPage - 1) * itemsPerPage;
+			end = Math.min(filteredData.length, start + itemsPerPage);
+		}
+		const pageData = filteredData.slice(start, end);
 
-		// Clear existing rows
-		tbody.selectAll("tr").remove();
+		const above = viewMode === "scroll" ? start * rowHeight : 0;
+		const below = viewMode === "scroll" ? (filteredData.length - end) * rowHeight : 0;
+		topSpacer.style("display", above > 0 ? null : "none").style("height", `${above}px`);
+		bottomSpacer.style("display", below > 0 ? null : "none").style("height", `${below}px`);
 
-		// Add rows
+		// Add rows for records coming into view and remove the others
 		const rows = tbody
-			.selectAll("tr")
-			.data(pageData)
-			.enter()
-			.append("tr")
-			.on("mouseover", function () {
-				d3.select(this).classed("highlight", true);
+			.selectAll("tr.table-row")
+			.data(pageData, rowKey)
+			.join((enter) => {
+				const row = enter
+					.insert("tr", "tr.table-spacer-bottom")
+					.attr("class", "table-row")
+					.on("mouseover", function () {
+						d3.select(this).classed("highlight", true);
+					})
+					.on("mouseout", function () {
+						d3.select(this).classed("highlight", false);
+					});
+
+				// Add cells
+				row.selectAll("td")
+					.data((d) =>
+						columns.map((col) => ({
+							key: col.key,
+							value: d[col.key],
+							format: col.format,
+							original: d,
+						}))
+					)
+					.enter()
+					.append("td")
+					.html((d) => {
+						if (d.format) {
+							return d.format(d.value, d.original);
+						}
+						return d.value || "-";
+					})
+					.attr("data-label", (d) => d.key);
+
+				return row;
 			})
-			.on("mouseout", function () {
-				d3.select(this).classed("highlight", false);
-			});
+			.order();
 
-		// Add cells
-		rows.selectAll("td")
-			.data((d) =>
-				columns.map((col) => ({
-					key: col.key,
-					value: d[col.key],
-					format: col.format,
-					original: d,
-				}))
-			)
-			.enter()
-			.append("td")
-			.html((d) => {
-				if (d.format) {
-					return d.format(d.value, d.original);
-				}
-				return d.value || "-";
-			})
-			.attr("data-label", (d) => d.key);
+		// Row height for the scrolling mode
+		const drawnRow = rows.node();
+		if (drawnRow) rowHeight = drawnRow.getBoundingClientRect().height || rowHeight;
+
+		if (viewMode === "scroll") {
+			paginationContainer
+				.select(".pagination-info")
+				.text(filteredData.length > 0 ? `Rows ${start + 1}–${end} of ${filteredData.length}` : "No rows");
+		}
 
 		// Update count display
 		d3.select("#table-count").text(`${filteredData.length} samples`);
 	}
 
 	function renderPagination() {
-		const totalPages = Math.ceil(filteredData.length / itemsPerPage);
-
 		paginationContainer.selectAll("*").remove();
 
+		if (viewMode === "scroll") {
+			paginationContainer
+				.append("div")
+				.attr("class", "pagination")
+				.append("span")
+				.attr("class", "pagination-info");
+			renderTable();
+			return;
+		}
+
+		const totalPages = Math.ceil(filteredData.length / itemsPerPage);
+
 		if (totalPages <= 1) return;
 
+		const goToPage = (page) => {
+			currentPage = Math.min(Math.max(1, page), totalPages);
+			tableContainer.property("scrollTop", 0);
+			renderTable();
+			renderPagination();
+		};
+
 		const pagination = paginationContainer
 			.append("div")
 			.attr("class", "pagination");
 
-		// Previous button
+		// First and previous buttons
+		pagination
+			.append("button")
+			.attr("class", "pagination-btn")
+			.property("disabled", currentPage === 1)
+			.text("First")
+			.on("click", () => goToPage(1));
 		pagination
 			.append("button")
 			.attr("class", "pagination-btn")
 			.property("disabled", currentPage === 1)
 			.text("Previous")
-			.on("click", () => {
-				if (currentPage > 1) {
-					currentPage--;
-					renderTable();
-					renderPagination();
-				}
-			});
+			.on("click", () => goToPage(currentPage - 1));
 
-		// Page info
-		pagination
+		// Page info, with the page number as an input to jump to a page
+		const info = pagination
 			.append("span")
-			.attr("class", "pagination-info")
-			.text(`Page ${currentPage} of ${totalPages}`);
+			.attr("class", "pagination-info");
+		info.append("span").text("Page ");
+		info.append("input")
+			.attr("type", "number")
+			.attr("class", "pagination-page")
+			.attr("aria-label", "Page")
+			.attr("min", 1)
+			.attr("max", totalPages)
+			.property("value", currentPage)
+			.on("change", function () {
+				const page = parseInt(this.value, 10);
+				if (Number.isNaN(page)) {
+					this.value = currentPage;
+					return;
+				}
+				goToPage(page);
+			});
+		info.append("span").text(` of ${totalPages}`);
 
-		// Next button
+		// Next and last buttons
 		pagination
 			.append("button")
 			.attr("class", "pagination-btn")
 			.property("disabled", currentPage === totalPages)
 			.text("Next")
-			.on("click", () => {
-				if (currentPage < totalPages) {
-					currentPage++;
-					renderTable();
-					renderPagination();
-				}
-			});
+			.on("click", () => goToPage(currentPage + 1));
+		pagination
+			.append("button")
+			.attr("class", "pagination-btn")
+			.property("disabled", currentPage === totalPages)
+			.text("Last")
+			.on("click", () => goToPage(totalPages));
+	}
+
+	// Active filters as text, for exports
+	function describeFilters() {
+		// Date inputs are parsed as UTC midnight
+		const formatDay = d3.utcFormat("%Y-%m-%d");
+		const lines = [];
+		const searches = [
+			["Specimen", filters.specimen],
+			["County", filters.county],
+			["Telecheck", filters.telecheck],
+		].filter(([, search]) => search);
+		const checked = [
+			["Result", filters.result],
+			["Sex", filters.sex],
+			["Age", filters.age],
+			["Sample", filters.sampleType],
+		].filter(([, values]) => values.size > 0);
+
+		searches.forEach(([label, search]) => lines.push(`Table ${label.toLowerCase()} contains "${search}"`));
+		checked.forEach(([label, values]) => lines.push(`Table ${label.toLowerCase()}: ${Array.from(values).join(", ")}`));
+		if (filters.harvestDateStart || filters.harvestDateEnd) {
+			const from = filters.harvestDateStart ? formatDay(filters.harvestDateStart) : "any";
+			const to = filters.harvestDateEnd ? formatDay(filters.harvestDateEnd) : "any";
+			lines.push(`Table harvested: ${from} to ${to}`);
+		}
+		if (lines.length === 0) lines.push("Table filters: none");
+		if (sortKey) {
+			const column = columns.find((d) => d.key === sortKey);
+			lines.push(`Sorted by ${columnLabel(column)} (${sortDirection === "asc" ? "ascending" : "descending"})`);
+		}
+		lines.push("Harvested: collection date used when harvest date is not available");
+		return lines;
 	}
 
 	function formatDate(harvestDate, collectionDate) {
@@ -492,16 +695,43 @@ export function createTable(selector) {
 			// Initialize checkbox filters
 			initializeCheckboxFilters(allData);
 
-			// Apply any active filters
+			// Apply any active filters and the current sort
 			applyFilters();
+			renderTable();
+			renderPagination();
+		},
 
-			// Re-apply current sort if any
-			if (sortKey) {
-				sortBy(sortKey);
-			} else {
-				renderTable();
-				renderPagination();
-			}
+		// Use layer field aliases as column headers. Aliases that only repeat
+		// the field name are ignored, as ArcGIS sets those by default.
+		setFieldAliases(aliases) {
+			fieldAliases = aliases;
+			headerRow.selectAll("th").text(columnLabel);
+		},
+
+		// The rows as shown (filtered and sorted) for exporting, the columns
+		// that can be exported ({ key, label, value(row), selected }) and
+		// the table's filters as text lines. Harvested falls back to the
+		// collection date like the table.
+		getExportData() {
+			const exportColumns = [
+				...columns.map((column) => ({
+					key: column.key,
+					label: columnLabel(column),
+					value:
+						column.key === "harvestDate"
+							? (row) => row.harvestDate || row.collectionDate
+							: (row) => row[column.key],
+					selected: true,
+				})),
+				...extraExportColumns.map((column) => ({
+					key: column.key,
+					label: columnLabel(column),
+					value: (row) => row[column.key],
+					selected: false,
+				})),
+			];
+
+			return { columns: exportColumns, rows: filteredData, lines: describeFilters() };
 		},
 
 		search(searchTerm) {
@@ -0,0 +1,420 @@
+import * as d3 from "d3";
+import { groupByCounty, normalizeCountyName } from "./data.js";
+import { positivityRate } from "./rates.js";
+import { downloadBlob } from "./mapExport.js";
+
+// Missouri's state FIPS code and the county FIPS codes by map class name.
+// The data's County codes are MDC's own alphabetical numbers, not FIPS.
+const STATE_FIPS = "29";
+const COUNTY_FIPS = {
+	adair: "001", andrew: "003", atchison: "005", audrain: "007", barry: "009", barton: "011",
+	bates: "013", benton: "015", bollinger: "017", boone: "019", buchanan: "021", butler: "023",
+	caldwell: "025", callaway: "027", camden: "029", cape_girardeau: "031", carroll: "033",
+	carter: "035", cass: "037", cedar: "039", chariton: "041", christian: "043", clark: "045",
+	clay: "047", clinton: "049", cole: "051", cooper: "053", crawford: "055", dade: "057",
+	dallas: "059", daviess: "061", dekalb: "063", dent: "065", douglas: "067", dunklin: "069",
+	franklin: "071", gasconade: "073", gentry: "075", greene: "077", grundy: "079", harrison: "081",
+	henry: "083", hickory: "085", holt: "087", howard: "089", howell: "091", iron: "093",
+	jackson: "095", jasper: "097", jefferson: "099", johnson: "101", knox: "103", laclede: "105",
+	lafayette: "107", lawrence: "109", lewis: "111", lincoln: "113", linn: "115", livingston: "117",
+	mcdonald: "119", macon: "121", madison: "123", maries: "125", marion: "127", mercer: "129",
+	miller: "131", mississippi: "133", moniteau: "135", monroe: "137", montgomery: "139",
+	morgan: "141", new_madrid: "143", newton: "145", nodaway: "147", oregon: "149", osage: "151",
+	ozark: "153", pemiscot: "155", perry: "157", pettis: "159", phelps: "161", pike: "163",
+	platte: "165", polk: "167", pulaski: "169", putnam: "171", ralls: "173", randolph: "175",
+	ray: "177", reynolds: "179", ripley: "181", st_charles: "183", st_clair: "185",
+	ste_genevieve: "186", st_francois: "187", st_louis: "189", saline: "195", schuyler: "197",
+	scotland: "199", scott: "201", shannon: "203", shelby: "205", stoddard: "207", stone: "209",
+	sullivan: "211", taney: "213", texas: "215", vernon: "217", warren: "219", washington: "221",
+	wayne: "223", webster: "225", worth: "227", wright: "229", st_louis_city: "510",
+};
+
+const formatDay = d3.timeFormat("%Y-%m-%d");
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Dates as YYYY-MM-DD, missing values as empty cells. Text that would be
+// read as a formula is prefixed with ' so it stays text.
+function cellValue(value) {
+	if (value == null) return "";
+	if (value instanceof Date) return formatDay(value);
+	if (typeof value === "string" && FORMULA_START.test(value)) return `'${value}`;
+	return value;
+}
+
+// CSV with the metadata lines as "# " rows above the column names. The byte
+// order mark lets Excel open it as UTF-8.
+export function toCsv(header, rows, metadata) {
+	return (
+		"\ufeff" +
+		d3.csvFormatRows([
+			...metadata.map((line) => [`# ${line}`]),
+			header,
+			...rows.map((row) => row.map(cellValue)),
+		])
+	);
+}
+
+// CRC-32 of the ZIP format
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	return c >>> 0;
+});
+
+function crc32(bytes) {
+	let crc = 0xffffffff;
+	bytes.forEach((byte) => {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	});
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ZIP archive of text files ([{ name, content }]), stored without
+// compression
+function zipFiles(files, type) {
+	const encoder = new TextEncoder();
+	const parts = [];
+	const directory = [];
+	let offset = 0;
+	const dosDate = (1 << 5) | 1; // 1980-01-01
+
+	files.forEach(({ name, content }) => {
+		const nameBytes = encoder.encode(name);
+		const data = encoder.encode(content);
+		const crc = crc32(data);
+
+		const local = new DataView(new ArrayBuffer(30));
+		local.setUint32(0, 0x04034b50, true);
+		local.setUint16(4, 20, true); // Version needed
+		local.setUint16(6, 0x0800, true); // UTF-8 names
+		local.setUint16(12, dosDate, true);
+		local.setUint32(14, crc, true);
+		local.setUint32(18, data.length, true);
+		local.setUint32(22, data.length, true);
+		local.setUint16(26, nameBytes.length, true);
+		parts.push(local, nameBytes, data);
+
+		const entry = new DataView(new ArrayBuffer(46));
+		entry.setUint32(0, 0x02014b50, true);
+		entry.setUint16(4, 20, true); // Version made by
+		entry.setUint16(6, 20, true);
+		entry.setUint16(8, 0x0800, true);
+		entry.setUint16(14, dosDate, true);
+		entry.setUint32(16, crc, true);
+		entry.setUint32(20, data.length, true);
+		entry.setUint32(24, data.length, true);
+		entry.setUint16(28, nameBytes.length, true);
+		entry.setUint32(42, offset, true);
+		directory.push(entry, nameBytes);
+
+		offset += 30 + nameBytes.length + data.length;
+	});
+
+	const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+	const end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, 0x06054b50, true);
+	end.setUint16(8, files.length, true);
+	end.setUint16(10, files.length, true);
+	end.setUint32(12, directorySize, true);
+	end.setUint32(16, offset, true);
+
+	return new Blob([...parts, ...directory, end], { type });
+}
+
+const escapeXml = (text) =>
+	String(text)
+		// Control characters are not allowed in XML
+		.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+
+// Column letters: 0 -> A, 26 -> AA
+function columnName(index) {
+	let name = "";
+	for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+	}
+	return name;
+}
+
+function sheetXml(rows) {
+	const rowsXml = rows
+		.map((row, r) => {
+			const cells = row
+				.map((value, c) => {
+					const ref = `${columnName(c)}${r + 1}`;
+					if (value === "" || value == null) return "";
+					if (typeof value === "number" && Number.isFinite(value)) {
+						return `<c r="${ref}"><v>${value}</v></c>`;
+					}
+					return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+				})
+				.join("");
+			return `<row r="${r + 1}">${cells}</row>`;
+		})
+		.join("");
+	return (
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+		`<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowsXml}</sheetData></worksheet>`
+	);
+}
+
+// Excel workbook with one sheet: the metadata lines, an empty row, the column
+// names and the rows. Dates are written as YYYY-MM-DD text.
+export function toXlsx(header, rows, metadata, sheetName = "Samples") {
+	const sheetRows = [...metadata.map((line) => [line]), [], header, ...rows.map((row) => row.map(cellValue))];
+
+	return zipFiles(
+		[
+			{
+				name: "[Content_Types].xml",
+				content:
+					'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+					'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+					'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+					'<Default Extension="xml" ContentType="application/xml"/>' +
+					'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+					'<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+					"</Types>",
+			},
+			{
+				name: "_rels/.rels",
+				content:
+					'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+					'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+					'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+					"</Relationships>",
+			},
+			{
+				name: "xl/workbook.xml",
+				content:
+					'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+					'<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+					`<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+					"</workbook>",
+			},
+			{
+				name: "xl/_rels/workbook.xml.rels",
+				content:
+					'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+					'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+					'<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+					"</Relationships>",
+			},
+			{ name: "xl/worksheets/sheet1.xml", content: sheetXml(sheetRows) },
+		],
+		"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+	);
+}
+
+const COUNTY_FIELDS = [
+	{ key: "county", label: "County" },
+	{ key: "fips", label: "FIPS" },
+	{ key: "count", label: "Samples" },
+	{ key: "positive", label: "Positive" },
+	{ key: "negative", label: "Negative" },
+	{ key: "pending", label: "Pending" },
+	{ key: "unsuitable", label: "Unfit" },
+	{ key: "tested", label: "Tested" },
+	{ key: "positivity", label: "Positivity" },
+	{ key: "positivityLower", label: "Positivity 95% CI lower" },
+	{ key: "positivityUpper", label: "Positivity 95% CI upper" },
+];
+
+// groupByCounty() counts of the rows with the county FIPS code and the
+// positivity rate, sorted by county
+export function countyRows(rows) {
+	return groupByCounty(rows)
+		.map(({ samples, ...counts }) => {
+			const code = COUNTY_FIPS[normalizeCountyName(counts.county)];
+			const { tested, rate, lower, upper } = positivityRate(counts);
+			return {
+				...counts,
+				fips: code ? `${STATE_FIPS}${code}` : null,
+				tested,
+				positivity: rate,
+				positivityLower: lower,
+				positivityUpper: upper,
+			};
+		})
+		.sort((a, b) => d3.ascending(a.county, b.county));
+}
+
+// Counties as GeoJSON features with their county boundary in longitude and
+// latitude. geometries maps FIPS codes to GeoJSON geometries (see
+// loadCountyGeometry()); counties without a FIPS code get a null geometry.
+export function countiesToGeoJson(counties, metadata, geometries) {
+	return JSON.stringify({
+		type: "FeatureCollection",
+		metadata,
+		features: counties.map((county) => ({
+			type: "Feature",
+			id: county.fips,
+			geometry: geometries.get(county.fips) ?? null,
+			properties: Object.fromEntries(COUNTY_FIELDS.map(({ key }) => [key, county[key] ?? null])),
+		})),
+	});
+}
+
+// County boundaries by FIPS code from a GeoJSON FeatureCollection whose
+// feature ids are five-digit FIPS codes (public/missouri-counties.geojson)
+export async function loadCountyGeometry(url) {
+	const collection = await d3.json(url);
+	if (!collection || !Array.isArray(collection.features)) {
+		throw new Error(`No county boundaries in ${url}`);
+	}
+	return new Map(collection.features.map((feature) => [String(feature.id), feature.geometry]));
+}
+
+const SAMPLE_FORMATS = [
+	{ value: "csv", label: "CSV" },
+	{ value: "xlsx", label: "Excel (XLSX)" },
+];
+
+const COUNTY_FORMATS = [
+	{ value: "geojson", label: "GeoJSON" },
+	{ value: "csv", label: "CSV" },
+];
+
+// Export of the table's rows as shown (filtered and sorted) and of their
+// counts per county. getData() is table.getExportData(); getMetadata() returns
+// { lines, filename } for the dashboard's filters and data timestamp.
+// countyGeometryUrl is the county boundary file for the GeoJSON export.
+export function createTableExportPanel(selector, { getData, getMetadata, countyGeometryUrl }) {
+	const container = d3.select(selector);
+	let columnChoice = null; // column key -> selected, once columns are known
+	let countyGeometry = null; // Promise of the county boundaries, once requested
+
+	// Set up panel toggle
+	d3.select("#toggle-table-export").on("click", function () {
+		const isVisible = container.style("display") !== "none";
+
+		container.style("display", isVisible ? "none" : "block");
+		d3.select(this).text(isVisible ? "Export Data" : "Hide Export");
+		if (!isVisible) render();
+	});
+
+	// Samples: format and columns
+	const samples = container.append("div").attr("class", "table-export-section");
+	samples.append("h3").text("Samples");
+	const sampleControls = samples.append("div").attr("class", "audit-controls");
+	const sampleFormat = sampleControls.append("label").text("Format: ").append("select").attr("id", "export-samples-format");
+	sampleFormat
+		.selectAll("option")
+		.data(SAMPLE_FORMATS)
+		.enter()
+		.append("option")
+		.attr("value", (d) => d.value)
+		.text((d) => d.label);
+	const sampleButton = sampleControls.append("button").attr("class", "filter-toggle-btn").text("Download samples");
+	const columnList = samples.append("fieldset").attr("class", "checkbox-group table-export-columns");
+
+	// Counties: groupByCounty() of the same rows
+	const counties = container.append("div").attr("class", "table-export-section");
+	counties.append("h3").text("Counties");
+	const countyControls = counties.append("div").attr("class", "audit-controls");
+	const countyFormat = countyControls.append("label").text("Format: ").append("select").attr("id", "export-counties-format");
+	countyFormat
+		.selectAll("option")
+		.data(COUNTY_FORMATS)
+		.enter()
+		.append("option")
+		.attr("value", (d) => d.value)
+		.text((d) => d.label);
+	const countyButton = countyControls.append("button").attr("class", "filter-toggle-btn").text("Download counties");
+	counties
+		.append("p")
+		.attr("class", "quality-empty")
+		.text("Counts per county of the exported samples, with the county FIPS code. The GeoJSON includes the county boundaries (US Census, longitude/latitude).");
+
+	const status = container.append("p").attr("class", "quality-empty");
+
+	const selectedColumns = (columns) => columns.filter((column) => columnChoice.get(column.key));
+
+	function render() {
+		const { columns } = getData();
+
+		if (!columnChoice) {
+			columnChoice = new Map(columns.map((column) => [column.key, column.selected !== false]));
+		}
+
+		columnList.selectAll("*").remove();
+		columnList.append("legend").text("Columns");
+		columns.forEach((column) => {
+			const label = columnList.append("label");
+			label
+				.append("input")
+				.attr("type", "checkbox")
+				.property("checked", columnChoice.get(column.key))
+				.on("change", function () {
+					columnChoice.set(column.key, this.checked);
+					render();
+				});
+			label.append("span").text(column.label);
+		});
+
+		sampleButton.property("disabled", selectedColumns(columns).length === 0);
+	}
+
+	const download = async (name, rows, build) => {
+		status.text("");
+		if (rows.length === 0) {
+			status.text("No samples match the current filters.");
+			return;
+		}
+		try {
+			const { blob, extension } = await build();
+			downloadBlob(blob, `${name}.${extension}`);
+		} catch (error) {
+			console.error("Error exporting data:", error);
+			status.text(`Export failed: ${error.message}`);
+		}
+	};
+
+	sampleButton.on("click", () => {
+		const { columns, rows, lines: tableLines } = getData();
+		const { lines, filename } = getMetadata();
+		const chosen = selectedColumns(columns);
+		const metadata = [...lines, ...tableLines, `${rows.length.toLocaleString()} samples`];
+		const header = chosen.map((column) => column.label);
+		const values = rows.map((row) => chosen.map((column) => column.value(row)));
+
+		download(`cwd-samples-${filename}`, rows, () =>
+			sampleFormat.property("value") === "xlsx"
+				? { blob: toXlsx(header, values, metadata), extension: "xlsx" }
+				: { blob: new Blob([toCsv(header, values, metadata)], { type: "text/csv" }), extension: "csv" }
+		);
+	});
+
+	countyButton.on("click", async () => {
+		const { rows, lines: tableLines } = getData();
+		const { lines, filename } = getMetadata();
+		const countyData = countyRows(rows);
+		const metadata = [...lines, ...tableLines, `${countyData.length} counties from ${rows.length.toLocaleString()} samples`];
+
+		countyButton.property("disabled", true);
+		await download(`cwd-counties-${filename}`, rows, async () => {
+			if (countyFormat.property("value") === "geojson") {
+				if (!countyGeometry) {
+					countyGeometry = loadCountyGeometry(countyGeometryUrl).catch((error) => {
+						countyGeometry = null; // Try again on the next export
+						throw error;
+					});
+				}
+				const geometries = await countyGeometry;
+				return {
+					blob: new Blob([countiesToGeoJson(countyData, metadata, geometries)], { type: "application/geo+json" }),
+					extension: "geojson",
+				};
+			}
+			const header = COUNTY_FIELDS.map((field) => field.label);
+			const values = countyData.map((county) => COUNTY_FIELDS.map((field) => county[field.key]));
+			return { blob: new Blob([toCsv(header, values, metadata)], { type: "text/csv" }), extension: "csv" };
+		});
+		countyButton.property("disabled", false);
+	});
+}
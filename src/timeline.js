@@ -0,0 +1,284 @@
+import * as d3 from "d3";
+import { sampleDate } from "./charts.js";
+
+const STEPS = {
+	day: { label: "By day", interval: d3.timeDay, name: "day" },
+	week: { label: "By week", interval: d3.timeWeek, name: "week" },
+};
+
+// Cumulative, or a rolling window of the last N days
+const WINDOWS = [
+	{ value: "cumulative", label: "Cumulative" },
+	{ value: "7", label: "Last 7 days" },
+	{ value: "14", label: "Last 14 days" },
+	{ value: "28", label: "Last 28 days" },
+];
+
+// Time-lapse scrubber under the map. Stepping through the season calls
+// onChange({ from, to }, playing) with the dates to show (milliseconds, from
+// inclusive and null when cumulative, to exclusive), or onChange(null) for
+// all dates. playing is true for the steps of playback. onChange returns a
+// promise; playback waits for it before the next step. onPause() is called
+// when playback pauses or reaches the end, so the caller can draw what it
+// skips during playback.
+export function createTimeline(selector, { onChange, onPause = () => {}, frameDelay = 600 }) {
+	const container = d3.select(selector);
+	const formatDate = d3.timeFormat("%b %d, %Y");
+
+	let step = "week";
+	let windowSize = "cumulative";
+	let bins = []; // [{ start, count, positive }] one per step
+	let binsKey = null;
+	let position = 0;
+	let active = false; // false shows all dates
+	let playing = false;
+	let timer = null;
+
+	const controls = container.append("div").attr("class", "timeline-controls");
+	const playButton = controls
+		.append("button")
+		.attr("class", "timeline-play")
+		.attr("aria-label", "Play")
+		.text("▶");
+
+	const stepSelect = controls.append("select").attr("id", "timeline-step").attr("aria-label", "Step");
+	stepSelect
+		.selectAll("option")
+		.data(Object.entries(STEPS))
+		.enter()
+		.append("option")
+		.attr("value", ([key]) => key)
+		.text(([, d]) => d.label);
+	stepSelect.property("value", step);
+
+	const windowSelect = controls.append("select").attr("id", "timeline-window").attr("aria-label", "Window");
+	windowSelect
+		.selectAll("option")
+		.data(WINDOWS)
+		.enter()
+		.append("option")
+		.attr("value", (d) => d.value)
+		.text((d) => d.label);
+	windowSelect.property("value", windowSize);
+
+	const allButton = controls.append("button").attr("class", "timeline-all").text("All dates");
+	const label = controls.append("span").attr("class", "timeline-label");
+
+	const strip = container
+		.append("svg")
+		.attr("class", "timeline-strip")
+		.attr("preserveAspectRatio", "none")
+		.attr("aria-hidden", "true");
+	const slider = container
+		.append("input")
+		.attr("type", "range")
+		.attr("class", "timeline-slider")
+		.attr("aria-label", "Date")
+		.attr("min", 0)
+		.attr("step", 1);
+
+	const currentRange = () => {
+		if (!active || bins.length === 0) return null;
+
+		const to = STEPS[step].interval.offset(bins[position].start, 1);
+		const from = windowSize === "cumulative" ? null : d3.timeDay.offset(to, -Number(windowSize));
+		return { from: from && from.getTime(), to: to.getTime() };
+	};
+
+	function render() {
+		const disabled = bins.length === 0;
+		controls.selectAll("button, select").property("disabled", disabled);
+		slider.property("disabled", disabled);
+		playButton.text(playing ? "❚❚" : "▶").attr("aria-label", playing ? "Pause" : "Play");
+		allButton.property("disabled", disabled || !active);
+
+		if (disabled) {
+			label.text(binsKey === null ? "Time-lapse is available once sample records are loaded" : "No dated samples");
+			strip.selectAll("*").remove();
+			return;
+		}
+
+		slider.attr("max", bins.length - 1).property("value", active ? position : bins.length - 1);
+
+		const range = currentRange();
+		if (!range) {
+			label.text("All dates");
+		} else {
+			const bin = bins[position];
+			const through = formatDate(new Date(range.to - 1));
+			const shown = range.from == null ? `Through ${through}` : `${formatDate(new Date(range.from))} – ${through}`;
+			const newPositives = bin.positive > 0
+				? `, ${bin.positive} new positive${bin.positive === 1 ? "" : "s"} this ${STEPS[step].name}`
+				: "";
+			label.text(`${shown}${newPositives}`);
+		}
+
+		// Samples per step in grey with positives in red, and the current step
+		const maxCount = d3.max(bins, (d) => d.count) || 1;
+		const height = 24;
+		strip.attr("viewBox", `0 0 ${bins.length} ${height}`);
+		strip.selectAll("*").remove();
+		strip
+			.selectAll("rect.timeline-count")
+			.data(bins)
+			.enter()
+			.append("rect")
+			.attr("class", "timeline-count")
+			.attr("x", (d, i) => i)
+			.attr("width", 0.9)
+			.attr("y", (d) => height - (d.count / maxCount) * height)
+			.attr("height", (d) => (d.count / maxCount) * height);
+		strip
+			.selectAll("rect.timeline-positive")
+			.data(bins.filter((d) => d.positive > 0))
+			.enter()
+			.append("rect")
+			.attr("class", "timeline-positive")
+			.attr("x", (d) => bins.indexOf(d))
+			.attr("width", 0.9)
+			.attr("y", (d) => height - Math.max(2, (d.positive / maxCount) * height))
+			.attr("height", (d) => Math.max(2, (d.positive / maxCount) * height));
+		if (range) {
+			const windowStart = range.from == null ? 0 : bins.findIndex((d) => d.start.getTime() >= range.from);
+			strip
+				.append("rect")
+				.attr("class", "timeline-window")
+				.attr("x", Math.max(0, windowStart))
+				.attr("width", position - Math.max(0, windowStart) + 1)
+				.attr("height", height);
+		}
+	}
+
+	function binSamples(samples) {
+		const { interval } = STEPS[step];
+		const dated = samples.filter(sampleDate);
+		if (dated.length === 0) return [];
+
+		const counts = d3.rollup(
+			dated,
+			(v) => ({ count: v.length, positive: v.filter((d) => d.result === "Positive").length }),
+			(d) => interval.floor(sampleDate(d)).getTime()
+		);
+		const [first, last] = d3.extent(dated, sampleDate);
+		return interval.range(interval.floor(first), interval.offset(interval.floor(last), 1)).map((start) => ({
+			start,
+			count: 0,
+			positive: 0,
+			...counts.get(start.getTime()),
+		}));
+	}
+
+	// Identifies the dates covered, so new samples for the same dates keep
+	// the current step
+	const keyOf = (bins) => (bins.length > 0 ? `${bins[0].start.getTime()}-${bins.length}` : "");
+
+	function stop() {
+		playing = false;
+		clearTimeout(timer);
+		timer = null;
+	}
+
+	// Show a step and wait for it to be drawn
+	const show = (index) => {
+		position = index;
+		active = true;
+		render();
+		return Promise.resolve(onChange(currentRange(), playing));
+	};
+
+	function pause() {
+		stop();
+		render();
+		onPause();
+	}
+
+	function play() {
+		if (!active || position >= bins.length - 1) position = -1;
+		playing = true;
+
+		const next = () => {
+			if (!playing) return;
+			if (position >= bins.length - 1) {
+				pause();
+				return;
+			}
+			show(position + 1).finally(() => {
+				if (playing) timer = setTimeout(next, frameDelay);
+			});
+		};
+		next();
+	}
+
+	playButton.on("click", () => {
+		if (playing) {
+			pause();
+		} else {
+			play();
+		}
+	});
+
+	slider.on("input", function () {
+		stop();
+		show(Number(this.value));
+	});
+
+	allButton.on("click", () => {
+		stop();
+		active = false;
+		render();
+		onChange(null);
+	});
+
+	let lastSamples = [];
+
+	stepSelect.on("change", function () {
+		// Keep roughly the same date when switching between days and weeks
+		const date = active ? bins[position].start : null;
+		step = this.value;
+		bins = binSamples(lastSamples);
+		binsKey = keyOf(bins);
+		if (date) {
+			position = Math.max(0, d3.bisector((d) => d.start).right(bins, date) - 1);
+			onChange(currentRange());
+		}
+		render();
+	});
+
+	windowSelect.on("change", function () {
+		windowSize = this.value;
+		if (active) onChange(currentRange());
+		render();
+	});
+
+	render();
+
+	return {
+		// Samples for the other filters (not the timeline's dates), or null
+		// in fast-start mode. When the samples cover different dates than
+		// before (e.g. another year) the timeline goes back to all dates and
+		// this returns true; the caller then drops its date range.
+		update(samples) {
+			const wasActive = active;
+
+			if (!samples) {
+				stop();
+				bins = [];
+				binsKey = null;
+				active = false;
+				render();
+				return wasActive;
+			}
+
+			lastSamples = samples;
+			bins = binSamples(samples);
+			const newKey = keyOf(bins);
+			if (newKey !== binsKey) {
+				stop();
+				binsKey = newKey;
+				active = false;
+			}
+			render();
+			return wasActive && !active;
+		},
+	};
+}
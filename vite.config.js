@@ -1,6 +1,11 @@
 import { defineConfig } from 'vite'
+import { arcgisMock } from './mock/arcgisMock.js'
 
 export default defineConfig({
+  plugins: [
+    // Serves /mock/arcgis/... for ?source=mock during development
+    arcgisMock()
+  ],
   server: {
     port: 3000,
     open: true
@@ -9,4 +14,4 @@ export default defineConfig({
     outDir: 'dist',
     sourcemap: true
   }
-})
\ No newline at end of file
+})